@@ -0,0 +1,38 @@
+const cluster = require('cluster');
+const http = require('http');
+const os = require('os');
+const sticky = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { createLogger } = require('./lib/logger');
+
+// ─── Cluster Launcher ───
+// Runs server.js as WORKERS processes (one per CPU by default) behind one port.
+// The primary only accepts connections and hands each one to a worker, keeping a
+// Socket.IO client on the same worker for its whole session; the workers share
+// broadcasts through the cluster adapter and rooms through the file stores and
+// leases under data/. A worker that dies is replaced, and its rooms are taken over
+// by the others once their leases lapse.
+
+const PORT = process.env.PORT || 3000;
+const WORKERS = Number(process.env.WORKERS) || os.cpus().length;
+const RESPAWN_DELAY = 1000;
+const log = createLogger({ level: process.env.LOG_LEVEL, base: { pid: process.pid, role: 'primary' } });
+
+const server = http.createServer();
+sticky.setupPrimary(server, { loadBalancingMethod: 'least-connection' });
+setupPrimary();
+
+// Workers run server.js itself; this file only ever runs as the primary. Handed-over
+// connections carry their first bytes as a Buffer, which JSON IPC would mangle.
+cluster.setupPrimary({ exec: require.resolve('./server'), serialization: 'advanced' });
+const fork = () => cluster.fork({ SOCKET_ADAPTER: 'cluster' });
+for (let i = 0; i < WORKERS; i++) fork();
+
+cluster.on('exit', (worker, code, signal) => {
+  log.error('worker.exited', { workerPid: worker.process.pid, code, signal });
+  setTimeout(fork, RESPAWN_DELAY);
+});
+
+server.listen(PORT, () => {
+  log.info('cluster.started', { port: Number(PORT), workers: WORKERS });
+});
@@ -0,0 +1,60 @@
+// ─── Puzzle Analytics ───
+// Stats for one played round, computed from its guess log so puzzle authors can
+// spot answers that are too hard or guesses that should probably be accepted.
+//   solveRate        share of the round's players who got it right
+//   partialRate      share who only earned partial credit
+//   medianSolveTime  seconds into the round (pauses excluded) for correct answers
+//   topWrongGuesses  most common rejected guesses
+//   nearMisses       rejected or partial guesses close to an accepted answer
+
+const TOP_GUESSES = 5;
+const NEAR_MISS_SIMILARITY = 0.6;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rate(count, total) {
+  return total ? Math.round((count / total) * 100) / 100 : 0;
+}
+
+// Most frequent guesses, ignoring case and spacing
+function topGuesses(guesses) {
+  const groups = new Map();
+  guesses.forEach(g => {
+    const key = g.guess.trim().toLowerCase().replace(/\s+/g, ' ');
+    const group = groups.get(key) || { guess: key, count: 0, similarity: 0 };
+    group.count++;
+    group.similarity = Math.max(group.similarity, g.similarity);
+    groups.set(key, group);
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || b.similarity - a.similarity)
+    .slice(0, TOP_GUESSES);
+}
+
+// `record` is one entry of room.history; `playerCount` is how many players were
+// in the round, since players who never guessed don't appear in the log
+function roundStats(record) {
+  const guesses = record.guesses;
+  const players = Math.max(record.playerCount || 0, new Set(guesses.map(g => g.playerId)).size);
+  const correct = guesses.filter(g => g.accepted && g.match === 'correct');
+  const partial = guesses.filter(g => g.accepted && g.match === 'partial');
+  const missed = guesses.filter(g => !g.accepted);
+
+  return {
+    players,
+    guessCount: guesses.length,
+    solved: correct.length,
+    solveRate: rate(correct.length, players),
+    partialRate: rate(partial.length, players),
+    medianSolveTime: correct.length ? Math.round(median(correct.map(g => g.elapsed)) / 100) / 10 : null,
+    topWrongGuesses: topGuesses(missed),
+    nearMisses: topGuesses([...missed, ...partial].filter(g => g.similarity >= NEAR_MISS_SIMILARITY))
+  };
+}
+
+module.exports = { roundStats, median };
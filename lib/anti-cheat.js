@@ -0,0 +1,44 @@
+// ─── Anti-Cheat ───
+// Heuristics that only flag; the host reviews flags and decides what to do.
+//   identical-guess  another player submitted the very same accepted text within
+//                    IDENTICAL_GUESS_WINDOW, and it isn't a clean match — everyone
+//                    types the answer the same way, but a shared typo gets copied
+//   fast-solve       a correct answer sooner than anyone could read the puzzle and type it
+
+const IDENTICAL_GUESS_WINDOW = 5000;
+const MIN_SOLVE_MS = 1500;
+const MIN_MS_PER_CHAR = 80;
+
+// `record` is the round's entry in room.history; `entry` the guess just recorded in it.
+// Returns [{ playerId, reason, detail }] for every player the guess implicates.
+function detectCheating(record, entry) {
+  if (!entry.accepted) return [];
+  const flags = [];
+
+  const text = entry.guess.trim();
+  const copies = record.guesses.filter(g =>
+    g.playerId !== entry.playerId &&
+    g.accepted &&
+    g.guess.trim() === text &&
+    Math.abs(entry.at - g.at) <= IDENTICAL_GUESS_WINDOW
+  );
+  if (copies.length && entry.similarity < 1) {
+    const seconds = Math.round(Math.min(...copies.map(g => Math.abs(entry.at - g.at))) / 100) / 10;
+    const detail = `Identical guess "${text}" ${seconds}s apart`;
+    flags.push({ playerId: entry.playerId, reason: 'identical-guess', detail, with: copies.map(g => g.playerId) });
+    copies.forEach(g => flags.push({ playerId: g.playerId, reason: 'identical-guess', detail, with: [entry.playerId] }));
+  }
+
+  const fastest = MIN_SOLVE_MS + text.length * MIN_MS_PER_CHAR;
+  if (entry.match === 'correct' && entry.elapsed < fastest) {
+    flags.push({
+      playerId: entry.playerId,
+      reason: 'fast-solve',
+      detail: `Solved in ${(entry.elapsed / 1000).toFixed(1)}s`
+    });
+  }
+
+  return flags;
+}
+
+module.exports = { detectCheating, IDENTICAL_GUESS_WINDOW, MIN_SOLVE_MS, MIN_MS_PER_CHAR };
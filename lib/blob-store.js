@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Blob Stores ───
+// Binary objects (processed puzzle images) under keys like "ROOMCODE/name.webp".
+// Every store exposes:
+//   put(key, buffer)     store the object, replacing any previous one
+//   get(key)             { buffer, contentType }, or null
+//   remove(key)          forget one object
+//   removePrefix(prefix) forget every object whose key starts with `prefix/`
+//   stats()              { count, bytes } of everything stored (the file store's
+//                        may be one metrics scrape behind)
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif'
+};
+
+// Keys are ours: one folder segment and a file name, nothing that could climb out
+function isValidKey(key) {
+  return /^[A-Za-z0-9_-]+\/[A-Za-z0-9_-]+\.[a-z]+$/.test(key);
+}
+
+function isValidName(name) {
+  return /^[A-Za-z0-9_-]+\.[a-z]+$/.test(name);
+}
+
+function contentType(key) {
+  return CONTENT_TYPES[path.extname(key)] || 'application/octet-stream';
+}
+
+function createMemoryBlobStore() {
+  const blobs = new Map();
+  return {
+    put(key, buffer) { blobs.set(key, buffer); },
+    get(key) {
+      const buffer = blobs.get(key);
+      return buffer ? { buffer, contentType: contentType(key) } : null;
+    },
+    remove(key) { blobs.delete(key); },
+    removePrefix(prefix) {
+      [...blobs.keys()].filter(k => k.startsWith(prefix + '/')).forEach(k => blobs.delete(k));
+    },
+    stats() {
+      let bytes = 0;
+      blobs.forEach(buffer => { bytes += buffer.length; });
+      return { count: blobs.size, bytes };
+    }
+  };
+}
+
+function createFileBlobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Walking every folder on each metrics scrape would hold up the event loop, so
+  // stats() answers with the last count and starts the next one in the background.
+  // It's recounted rather than kept up to date in put and remove because other
+  // processes may be writing to the same directory.
+  let counted = { count: 0, bytes: 0 };
+  let counting = null;
+
+  async function count() {
+    const totals = { count: 0, bytes: 0 };
+    const folders = (await fs.promises.readdir(dir, { withFileTypes: true })).filter(d => d.isDirectory());
+    for (const folder of folders) {
+      // Rooms deleted mid-count just drop out of it
+      const names = await fs.promises.readdir(path.join(dir, folder.name)).catch(() => []);
+      for (const name of names.filter(isValidName)) {
+        const stat = await fs.promises.stat(path.join(dir, folder.name, name)).catch(() => null);
+        if (!stat) continue;
+        totals.count++;
+        totals.bytes += stat.size;
+      }
+    }
+    return totals;
+  }
+
+  function recount() {
+    if (counting) return;
+    counting = count()
+      .then(totals => { counted = totals; }, () => {})
+      .finally(() => { counting = null; });
+  }
+  recount();
+
+  return {
+    put(key, buffer) {
+      if (!isValidKey(key)) throw new Error(`Invalid blob key "${key}"`);
+      const file = path.join(dir, key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file + '.tmp', buffer);
+      fs.renameSync(file + '.tmp', file);
+    },
+    get(key) {
+      if (!isValidKey(key)) return null;
+      const file = path.join(dir, key);
+      if (!fs.existsSync(file)) return null;
+      return { buffer: fs.readFileSync(file), contentType: contentType(key) };
+    },
+    remove(key) {
+      if (isValidKey(key)) fs.rmSync(path.join(dir, key), { force: true });
+    },
+    removePrefix(prefix) {
+      if (!/^[A-Za-z0-9_-]+$/.test(prefix)) return;
+      fs.rmSync(path.join(dir, prefix), { recursive: true, force: true });
+    },
+    stats() {
+      recount();
+      return { ...counted };
+    }
+  };
+}
+
+function createBlobStore(type, options = {}) {
+  if (type === 'memory') return createMemoryBlobStore();
+  if (type === 'file') return createFileBlobStore(options.dir);
+  throw new Error(`Unknown blob store "${type}"`);
+}
+
+module.exports = { createBlobStore, createMemoryBlobStore, createFileBlobStore };
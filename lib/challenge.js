@@ -0,0 +1,92 @@
+// ─── Challenge Mode ───
+// An asynchronous game: the room stays open for a window (room.challenge) and every
+// player works through the same puzzle sequence at their own pace, whenever suits
+// their time zone. Each player's progress is a run (room.runs[playerId]):
+//   key             secret put in the run's puzzle image URLs, so nobody can fetch ahead
+//   round           0-based round being played, or last played
+//   phase           ready (not started) | round (a puzzle is up) | result (answered or
+//                   timed out, waiting for the player to go on) | done (played them all)
+//   roundStartedAt  when the current puzzle went up; its clock runs on the server from
+//                   here, whether or not the player stays connected
+//   hints           hints of the current puzzle the player has seen
+//   roundScore      { penalty, hintCost } taken off the current puzzle so far
+//   results         one { match, points, seconds, breakdown } per finished puzzle
+// The run's score and streak are the player's own (player.score, player.streak), so
+// team standings, results and match totals work as in a live game.
+
+const MAX_WINDOW_HOURS = 7 * 24;
+const MAX_OPENS_IN_MINUTES = 7 * 24 * 60;
+
+function createChallenge({ hours, opensIn = 0 }, now = Date.now()) {
+  const opensAt = now + opensIn * 60 * 1000;
+  return { opensAt, closesAt: opensAt + hours * 60 * 60 * 1000 };
+}
+
+function isOpen(challenge, now = Date.now()) {
+  return now >= challenge.opensAt && now < challenge.closesAt;
+}
+
+function createRun(key) {
+  return {
+    key,
+    round: 0,
+    phase: 'ready',
+    roundStartedAt: null,
+    hints: 0,
+    roundScore: { penalty: 0, hintCost: 0 },
+    results: [],
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+}
+
+// Seconds spent on puzzles, not counting breaks between them
+function runSeconds(run) {
+  return Math.round(run.results.reduce((sum, r) => sum + (r ? r.seconds : 0), 0) * 10) / 10;
+}
+
+function runSolved(run, round) {
+  const result = run && run.results[round];
+  return !!result && (result.match === 'correct' || result.match === 'partial');
+}
+
+// Completed runs only: best score first, then whoever spent less time on the puzzles
+function rankRuns(room) {
+  return Object.values(room.players)
+    .filter(p => room.runs[p.id] && room.runs[p.id].phase === 'done')
+    .map(p => {
+      const run = room.runs[p.id];
+      return {
+        id: p.id,
+        name: p.name,
+        avatar: p.avatar,
+        color: p.color,
+        online: p.online,
+        teamId: p.teamId || null,
+        score: p.score,
+        scoreIgnored: !!p.scoreIgnored,
+        solved: run.results.filter((r, i) => runSolved(run, i)).length,
+        seconds: runSeconds(run),
+        finishedAt: run.finishedAt
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.seconds - b.seconds);
+}
+
+// How far everyone has got, for the lobby and the host's dashboard
+function runProgress(room) {
+  return Object.values(room.players).map(p => {
+    const run = room.runs[p.id];
+    return {
+      id: p.id,
+      name: p.name,
+      avatar: p.avatar,
+      color: p.color,
+      online: p.online,
+      phase: run ? run.phase : 'ready',
+      played: run ? run.results.filter(Boolean).length : 0
+    };
+  });
+}
+
+module.exports = { MAX_WINDOW_HOURS, MAX_OPENS_IN_MINUTES, createChallenge, isOpen, createRun, runSeconds, runSolved, rankRuns, runProgress };
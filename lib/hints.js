@@ -0,0 +1,70 @@
+// ─── Hints ───
+// Every puzzle gets an ordered list of hints revealed one after another during a round.
+// Each hint is { text, revealAt, cost }:
+//   revealAt  percent of the round after which the hint is shown to everyone
+//   cost      points taken off a player's score for the puzzle if they ask for it before then;
+//             null means it can't be requested early
+// The list is the auto-generated letter reveals (unless the puzzle sets autoHints: false)
+// merged with the host-written clues, ordered by revealAt.
+
+const AUTO_HINTS = [
+  { kind: 'pattern', revealAt: 30, cost: 25 },
+  { kind: 'first-letters', revealAt: 60, cost: 50 },
+  { kind: 'half-letters', revealAt: 80, cost: 100 }
+];
+
+const MAX_CLUES = 5;
+
+function isLetter(c) {
+  return /[a-z0-9]/i.test(c);
+}
+
+// e.g. pattern "_ _ _ _  _ _ _ _", first-letters "B _ _ _  M _ _ _", half-letters "B _ U _  M _ O _"
+function revealLetters(answer, kind) {
+  return answer.split(/\s+/).map(word => word.split('').map((c, i) => {
+    if (!isLetter(c)) return c;
+    if (kind === 'first-letters' && i === 0) return c.toUpperCase();
+    if (kind === 'half-letters' && i % 2 === 0) return c.toUpperCase();
+    return '_';
+  }).join(' ')).join('  ');
+}
+
+function autoHintText(answer, kind) {
+  const words = answer.split(/\s+/);
+  const letters = answer.split('').filter(isLetter).length;
+  const text = revealLetters(answer, kind);
+  if (kind !== 'pattern') return text;
+  return `${text} — ${words.length} word${words.length > 1 ? 's' : ''}, ${letters} letters`;
+}
+
+function cleanCost(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const cost = parseInt(value);
+  return Number.isFinite(cost) && cost >= 0 ? cost : null;
+}
+
+// Host-written clues as stored on a puzzle
+function cleanClues(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map(c => (typeof c === 'string' ? { text: c } : c || {}))
+    .map(c => ({
+      text: String(c.text || '').trim().slice(0, 200),
+      revealAt: Math.min(Math.max(parseInt(c.revealAt) || 50, 0), 100),
+      cost: cleanCost(c.cost)
+    }))
+    .filter(c => c.text)
+    .slice(0, MAX_CLUES);
+}
+
+function buildHints(puzzle) {
+  const auto = puzzle.autoHints === false ? [] : AUTO_HINTS.map(h => ({
+    text: autoHintText(puzzle.answer, h.kind),
+    revealAt: h.revealAt,
+    cost: h.cost
+  }));
+  // Stable sort keeps auto hints ahead of clues that share a reveal time
+  return [...auto, ...cleanClues(puzzle.clues)].sort((a, b) => a.revealAt - b.revealAt);
+}
+
+module.exports = { AUTO_HINTS, MAX_CLUES, cleanClues, buildHints };
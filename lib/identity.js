@@ -0,0 +1,48 @@
+// ─── Player Identity ───
+// Display names are unique within a room, ignoring case and spacing, so two
+// "Alex"es can't share a leaderboard. Every player also picks an avatar and a
+// colour when joining; anyone who doesn't gets ones not yet taken in the room.
+
+const AVATARS = ['🦊', '🐼', '🐸', '🦁', '🐙', '🦄', '🐧', '🐯', '🐨', '🦉', '🐳', '🦖', '🐝', '🦋', '🐢', '🐵'];
+const PLAYER_COLORS = ['#ff6b6b', '#ffa94d', '#ffd43b', '#69db7c', '#38d9a9', '#4dabf7', '#748ffc', '#b197fc', '#f783ac', '#e599f7'];
+const MAX_NAME_LENGTH = 20;
+const MAX_SUGGESTIONS = 3;
+
+function nameKey(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// `exceptId` lets a player keep (or re-case) their own name
+function isNameTaken(room, name, exceptId = null) {
+  const key = nameKey(name);
+  return Object.values(room.players).some(p => p.id !== exceptId && nameKey(p.name) === key);
+}
+
+// "Alex" -> ["Alex 2", "Alex 3", ...], trimming the base so suggestions fit the limit
+function suggestNames(room, name) {
+  const suggestions = [];
+  for (let n = 2; suggestions.length < MAX_SUGGESTIONS && n < 100; n++) {
+    const suffix = ` ${n}`;
+    const candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length).trim() + suffix;
+    if (!isNameTaken(room, candidate)) suggestions.push(candidate);
+  }
+  return suggestions;
+}
+
+// Prefer what the player chose; otherwise the first option nobody in the room has
+function pickUnused(options, taken, chosen) {
+  if (chosen && options.includes(chosen)) return chosen;
+  const free = options.filter(o => !taken.includes(o));
+  const pool = free.length ? free : options;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+function pickAppearance(room, { avatar, color } = {}) {
+  const players = Object.values(room.players);
+  return {
+    avatar: pickUnused(AVATARS, players.map(p => p.avatar), avatar),
+    color: pickUnused(PLAYER_COLORS, players.map(p => p.color), color)
+  };
+}
+
+module.exports = { AVATARS, PLAYER_COLORS, MAX_NAME_LENGTH, nameKey, isNameTaken, suggestNames, pickAppearance };
@@ -0,0 +1,22 @@
+const sharp = require('sharp');
+
+// ─── Image Processing ───
+// Uploaded puzzle images are normalised before they reach any player: rotated
+// upright from EXIF, scaled down to fit MAX_DIMENSION and re-encoded as WebP
+// (animated GIFs stay animated). Re-encoding also strips metadata and turns SVGs
+// into plain pixels, so nothing scriptable is ever served back.
+
+const MAX_DIMENSION = 1280;
+const WEBP_QUALITY = 80;
+const EXTENSION = '.webp';
+
+async function processImage(buffer) {
+  const { data, info } = await sharp(buffer, { animated: true })
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height, extension: EXTENSION };
+}
+
+module.exports = { processImage, MAX_DIMENSION, WEBP_QUALITY };
@@ -0,0 +1,33 @@
+// ─── Logging ───
+// One JSON object per line, for log collectors to parse:
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","event":"room.created","pid":123,"roomCode":"ABC123"}
+// `event` names what happened (dotted, e.g. room.created, round.ended); the other
+// fields are the details. An `err` field is expanded into its message and stack.
+// Lines below LOG_LEVEL (debug, info, warn, error; default info) are dropped, and
+// warnings and errors go to stderr.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function serializeError(err) {
+  return { error: err.message, code: err.code, stack: err.stack };
+}
+
+function createLogger({ level = 'info', base = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+  const min = Math.max(0, LEVELS.indexOf(level));
+
+  function write(lvl, event, fields = {}) {
+    if (LEVELS.indexOf(lvl) < min) return;
+    const { err, ...rest } = fields;
+    const line = { time: new Date().toISOString(), level: lvl, event, ...base, ...rest, ...(err ? serializeError(err) : {}) };
+    (lvl === 'warn' || lvl === 'error' ? stderr : stdout).write(JSON.stringify(line) + '\n');
+  }
+
+  return {
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields)
+  };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,123 @@
+// ─── Metrics ───
+// Counters, gauges and histograms rendered in the Prometheus text format.
+//   counter(name, help)             { inc(labels, by = 1) }
+//   gauge(name, help, collect, { shared })
+//                                   collect() returns a number or [{ labels, value }], read at scrape time;
+//                                   a shared gauge reads something every worker sees (e.g. a shared store)
+//   histogram(name, help, buckets)  { observe(labels, value) }
+// snapshot() returns every metric's current samples as plain JSON, so workers can
+// send theirs to whichever one is scraped; mergeSnapshots() adds them up (shared
+// gauges are counted once) and formatMetrics() renders the result.
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(name, type, help, fields) {
+    const metric = { name, type, help, samples: new Map(), ...fields };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function sampleFor(metric, labels, init) {
+    const key = labelKey(labels);
+    if (!metric.samples.has(key)) metric.samples.set(key, { labels, ...init() });
+    return metric.samples.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register(name, 'counter', help);
+    return {
+      inc(labels = {}, by = 1) {
+        sampleFor(metric, labels, () => ({ value: 0 })).value += by;
+      }
+    };
+  }
+
+  function gauge(name, help, collect, { shared = false } = {}) {
+    register(name, 'gauge', help, { collect, shared });
+  }
+
+  function histogram(name, help, buckets) {
+    const metric = register(name, 'histogram', help, { buckets });
+    return {
+      observe(labels, value) {
+        const sample = sampleFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        const bucket = buckets.findIndex(b => value <= b);
+        if (bucket !== -1) sample.counts[bucket]++;
+        sample.sum += value;
+        sample.count++;
+      }
+    };
+  }
+
+  function snapshot() {
+    return metrics.map(({ name, type, help, buckets, collect, shared, samples }) => {
+      let list = [...samples.values()];
+      if (collect) {
+        const collected = collect();
+        list = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      }
+      return { name, type, help, buckets, shared, samples: list.map(s => ({ ...s, counts: s.counts && [...s.counts] })) };
+    });
+  }
+
+  return { counter, gauge, histogram, snapshot };
+}
+
+// Adds up same-named samples with the same labels
+function mergeSnapshots(snapshots) {
+  const merged = new Map();
+  snapshots.forEach(snapshot => snapshot.forEach(metric => {
+    if (!merged.has(metric.name)) merged.set(metric.name, { ...metric, samples: new Map() });
+    const target = merged.get(metric.name).samples;
+    metric.samples.forEach(sample => {
+      const key = labelKey(sample.labels);
+      const existing = target.get(key);
+      if (!existing) return target.set(key, { ...sample, counts: sample.counts && [...sample.counts] });
+      if (sample.counts) {
+        sample.counts.forEach((c, i) => { existing.counts[i] += c; });
+        existing.sum += sample.sum;
+        existing.count += sample.count;
+      } else if (metric.shared) {
+        existing.value = Math.max(existing.value, sample.value);
+      } else {
+        existing.value += sample.value;
+      }
+    });
+  }));
+  return [...merged.values()].map(m => ({ ...m, samples: [...m.samples.values()] }));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatMetrics(snapshot) {
+  const lines = [];
+  snapshot.forEach(({ name, type, help, buckets, samples }) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(sample => {
+      if (type !== 'histogram') return lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+      let cumulative = 0;
+      buckets.forEach((le, i) => {
+        cumulative += sample.counts[i];
+        lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le })} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+      lines.push(`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+      lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { createMetrics, mergeSnapshots, formatMetrics };
@@ -0,0 +1,38 @@
+const { DIFFICULTIES } = require('./puzzle-library');
+
+// ─── Play Order ───
+// Which of a room's puzzles a game plays, and in what order, as a list of indexes
+// into room.puzzles (round n shows room.puzzles[order[n - 1]]). The uploaded set
+// itself is never reordered, so the next game can pick differently.
+//   order         upload   as uploaded
+//                 shuffle  a fresh random order every game
+//                 ramp     easy puzzles first, then medium, then hard (upload order within each)
+//   randomSubset  when playing fewer rounds than there are puzzles, pick them at
+//                 random instead of taking the first ones
+
+const PLAY_ORDERS = ['upload', 'shuffle', 'ramp'];
+
+function shuffled(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function difficultyRank(puzzle) {
+  const rank = DIFFICULTIES.indexOf(puzzle.difficulty);
+  return rank === -1 ? DIFFICULTIES.indexOf('medium') : rank;
+}
+
+function buildPlayOrder(puzzles, { rounds = puzzles.length, order = 'upload', randomSubset = false } = {}) {
+  const count = Math.min(rounds, puzzles.length);
+  const indexes = puzzles.map((p, i) => i);
+  let picked = randomSubset ? shuffled(indexes).slice(0, count).sort((a, b) => a - b) : indexes.slice(0, count);
+  if (order === 'shuffle') picked = shuffled(picked);
+  if (order === 'ramp') picked.sort((a, b) => difficultyRank(puzzles[a]) - difficultyRank(puzzles[b]) || a - b);
+  return picked;
+}
+
+module.exports = { PLAY_ORDERS, buildPlayOrder };
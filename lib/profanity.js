@@ -0,0 +1,46 @@
+const fs = require('fs');
+
+// ─── Profanity Filter ───
+// Rejects display names containing a blocked word. Names are normalised first so
+// the usual dodges still match: case, accents, look-alike digits ("h3ll0") and
+// letters spread out with separators ("f.o.o"). Words only match whole, so a
+// blocked "ass" doesn't catch "classic".
+
+const DEFAULT_WORDS = [
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+  'cock', 'crap', 'cunt', 'dick', 'dickhead', 'douche', 'fag', 'faggot', 'fuck',
+  'fucker', 'fucking', 'motherfucker', 'nazi', 'nigga', 'nigger', 'piss', 'prick',
+  'pussy', 'retard', 'shit', 'shithead', 'slut', 'twat', 'wank', 'wanker', 'whore'
+];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+function normalise(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[0134578@$!]/g, c => LOOKALIKES[c]);
+}
+
+// `words` replaces the default list; blank entries and "#" comments are ignored
+function createProfanityFilter(words = DEFAULT_WORDS) {
+  const blocked = new Set(words.map(w => normalise(w.trim())).filter(w => w && !w.startsWith('#')));
+
+  function isProfane(text) {
+    const words = normalise(text).split(/[^a-z]+/).filter(Boolean);
+    if (words.some(w => blocked.has(w))) return true;
+    // "f u c k", "f.u.c.k": single letters run together
+    const spelled = normalise(text).match(/\b[a-z](?:[^a-z]+[a-z]\b)+/g) || [];
+    return spelled.some(run => blocked.has(run.replace(/[^a-z]/g, '')));
+  }
+
+  return { isProfane };
+}
+
+// One word per line
+function loadWordList(file) {
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/);
+}
+
+module.exports = { createProfanityFilter, loadWordList, DEFAULT_WORDS };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ─── Player Profiles ───
+// Optional accounts that follow a player from room to room. A profile is found by
+// its username, ignoring case; it keeps a salted password hash, the hashes of the
+// sign-in tokens handed out to browsers, and stats added up from every game its
+// owner finished. Every store exposes:
+//   get(id)          the profile with this id (lower-cased username), or null
+//   save(profile)    create or replace it
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MAX_TOKENS = 10;        // signed-in browsers per profile; the oldest is signed out first
+const RECENT_GAMES = 20;
+
+function createMemoryProfileStore() {
+  const profiles = new Map();
+  return {
+    get(id) { return profiles.has(id) ? JSON.parse(profiles.get(id)) : null; },
+    save(profile) { profiles.set(profile.id, JSON.stringify(profile)); }
+  };
+}
+
+function createFileProfileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function file(id) {
+    // Ids are validated usernames; refuse anything that could escape the profiles dir
+    return /^[a-z0-9_-]+$/.test(id) ? path.join(dir, `${id}.json`) : null;
+  }
+
+  return {
+    get(id) {
+      const target = file(id);
+      if (!target || !fs.existsSync(target)) return null;
+      return JSON.parse(fs.readFileSync(target, 'utf8'));
+    },
+    save(profile) {
+      const target = file(profile.id);
+      fs.writeFileSync(target + '.tmp', JSON.stringify(profile));
+      fs.renameSync(target + '.tmp', target);
+    }
+  };
+}
+
+function createProfileStore(type, options = {}) {
+  if (type === 'memory') return createMemoryProfileStore();
+  if (type === 'file') return createFileProfileStore(options.dir);
+  throw new Error(`Unknown profile store "${type}"`);
+}
+
+// ─── Credentials ───
+
+function profileId(username) {
+  return username.toLowerCase();
+}
+
+// scrypt runs on libuv's thread pool, so hashing doesn't hold up every room
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key.toString('hex'))));
+  });
+}
+
+async function createProfile(username, password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    id: profileId(username),
+    username,
+    salt,
+    passwordHash: await hashPassword(password, salt),
+    tokens: [],
+    createdAt: Date.now(),
+    stats: { gamesPlayed: 0, wins: 0, totalPoints: 0, solves: 0, solveSeconds: 0, bestStreak: 0 },
+    recentGames: []
+  };
+}
+
+async function checkPassword(profile, password) {
+  const given = Buffer.from(await hashPassword(password, profile.salt), 'hex');
+  return crypto.timingSafeEqual(given, Buffer.from(profile.passwordHash, 'hex'));
+}
+
+function tokenHash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Hands out a new sign-in token, "<id>.<secret>"; only its hash is kept
+function issueToken(profile) {
+  const secret = crypto.randomBytes(24).toString('hex');
+  profile.tokens = [...profile.tokens, tokenHash(secret)].slice(-MAX_TOKENS);
+  return `${profile.id}.${secret}`;
+}
+
+// The profile a token signs in to, or null
+function profileForToken(store, token) {
+  if (typeof token !== 'string') return null;
+  const [id, secret] = token.split('.');
+  if (!id || !secret) return null;
+  const profile = store.get(id);
+  return profile && profile.tokens.includes(tokenHash(secret)) ? profile : null;
+}
+
+function revokeToken(profile, token) {
+  const hash = tokenHash(token.split('.')[1] || '');
+  profile.tokens = profile.tokens.filter(t => t !== hash);
+}
+
+// ─── Stats ───
+
+// Solve times and the longest run of rounds solved correctly, from a game's history
+function playerRounds(history, playerId) {
+  const solveSeconds = [];
+  let streak = 0;
+  let bestStreak = 0;
+  history.forEach(record => {
+    const solve = record.guesses.find(g => g.playerId === playerId && g.accepted && g.match === 'correct');
+    if (solve) solveSeconds.push(solve.elapsed / 1000);
+    streak = solve ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+  });
+  return { solveSeconds, bestStreak };
+}
+
+// `game` is one player's part in a finished game:
+//   { roomCode, mode, endedAt, score, rank, players, won, solveSeconds: [...], bestStreak }
+// Everything but the solve times is kept in recentGames.
+function recordGame(profile, game) {
+  const stats = profile.stats;
+  stats.gamesPlayed++;
+  if (game.won) stats.wins++;
+  stats.totalPoints += game.score;
+  stats.solves += game.solveSeconds.length;
+  stats.solveSeconds += game.solveSeconds.reduce((sum, s) => sum + s, 0);
+  stats.bestStreak = Math.max(stats.bestStreak, game.bestStreak);
+  const { solveSeconds, ...summary } = game;
+  profile.recentGames = [summary, ...profile.recentGames].slice(0, RECENT_GAMES);
+}
+
+// What anyone may see of a profile
+function publicProfile(profile) {
+  const { stats } = profile;
+  return {
+    username: profile.username,
+    createdAt: profile.createdAt,
+    stats: {
+      gamesPlayed: stats.gamesPlayed,
+      wins: stats.wins,
+      totalPoints: stats.totalPoints,
+      averageSolveSeconds: stats.solves ? Math.round(stats.solveSeconds / stats.solves * 10) / 10 : null,
+      bestStreak: stats.bestStreak
+    },
+    recentGames: profile.recentGames
+  };
+}
+
+module.exports = {
+  USERNAME_PATTERN,
+  createProfileStore,
+  createMemoryProfileStore,
+  createFileProfileStore,
+  profileId,
+  createProfile,
+  checkPassword,
+  issueToken,
+  profileForToken,
+  revokeToken,
+  playerRounds,
+  recordGame,
+  publicProfile
+};
@@ -0,0 +1,386 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { cleanPuzzle, DIFFICULTIES, MATCHING_MODES, MIN_TIME_LIMIT, MAX_TIME_LIMIT } = require('./puzzle-library');
+const { PUZZLE_TYPES, hasContent } = require('./puzzle-types');
+const { str, int, oneOf } = require('./validation');
+
+// ─── Puzzle Archives ───
+// A whole puzzle set as one file: a ZIP holding the images plus a manifest,
+// manifest.csv or manifest.json, with one row per puzzle. A bare manifest works
+// too for sets without images. Columns (only answer is required, plus whatever
+// the type shows):
+//   type        image (default), text, emoji or layout
+//   image       path of the image inside the ZIP, relative to the manifest
+//   content     what a text or emoji puzzle shows
+//   layout      a layout puzzle's words, as the JSON list stored on the puzzle
+//   answer      the accepted answer
+//   alternates  other accepted answers, separated by ";" (or a JSON list)
+//   rejected    near misses to refuse, likewise
+//   matching    exact, typo (default) or word-order
+//   difficulty  easy, medium (default) or hard
+//   time_limit  seconds for this puzzle's round; blank uses the game's setting
+//   clues       one per line: text | reveal at % | cost (or a JSON list)
+//   auto_hints  yes (default) or no
+// Header names ignore case, spaces and underscores; "hints" and "file" are
+// accepted for clues and image.
+
+const MAX_PUZZLES = 50;
+const MAX_ROWS = 500;
+const MAX_ENTRIES = 500;
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+const COLUMNS = ['type', 'image', 'content', 'layout', 'answer', 'alternates', 'rejected', 'matching', 'difficulty', 'time_limit', 'clues', 'auto_hints'];
+const HEADER_ALIASES = { file: 'image', hints: 'clues', timelimit: 'time_limit', autohints: 'auto_hints' };
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+
+const FIELD_RULES = {
+  answer: str({ max: 100 }),
+  matching: oneOf(MATCHING_MODES, { optional: true }),
+  difficulty: oneOf(DIFFICULTIES, { optional: true }),
+  time_limit: int({ min: MIN_TIME_LIMIT, max: MAX_TIME_LIMIT, optional: true })
+};
+
+function rowError(row, field, message) {
+  return { row, field, message };
+}
+
+// ─── CSV ───
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function headerKey(name) {
+  const key = String(name).trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return HEADER_ALIASES[key] || COLUMNS.find(c => c.replace('_', '') === key) || null;
+}
+
+// ─── Manifest Rows ───
+
+function listField(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value || '').split(';').map(v => v.trim()).filter(Boolean);
+}
+
+// "Think space | 50 | 75" per line, the way the host setup view writes clues
+function cluesField(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || '').split(/\r?\n/).map(line => {
+    const [text, revealAt, cost] = line.split('|').map(part => part.trim());
+    return { text, revealAt: parseInt(revealAt) || 50, cost: cost ? parseInt(cost) : null };
+  }).filter(c => c.text);
+}
+
+function boolField(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['', 'yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return undefined;
+}
+
+// One manifest row (keyed by column) as a puzzle entry, or the problems with it
+function readRow(raw, row) {
+  const errors = [];
+  const value = {};
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    let cell = typeof raw[field] === 'number' ? String(raw[field]) : raw[field];
+    if (typeof cell === 'string') cell = field === 'answer' ? cell.trim() : cell.trim().toLowerCase();
+    const r = rule(cell, field);
+    if (r.error) errors.push(rowError(row, field, r.error));
+    else value[field] = r.value;
+  }
+
+  const type = String(raw.type || '').trim().toLowerCase() || 'image';
+  if (!PUZZLE_TYPES.includes(type)) errors.push(rowError(row, 'type', `type must be one of ${PUZZLE_TYPES.join(', ')}`));
+
+  let layout = raw.layout;
+  if (typeof layout === 'string' && layout.trim()) {
+    try {
+      layout = JSON.parse(layout);
+    } catch (err) {
+      errors.push(rowError(row, 'layout', 'layout must be a JSON list of words'));
+    }
+  }
+
+  const autoHints = raw.auto_hints === undefined ? true : boolField(raw.auto_hints);
+  if (autoHints === undefined) errors.push(rowError(row, 'auto_hints', 'auto_hints must be yes or no'));
+
+  const image = String(raw.image || '').trim();
+  if (type === 'image' && !image) errors.push(rowError(row, 'image', 'image is required for image puzzles'));
+  if (errors.length) return { errors };
+
+  const puzzle = cleanPuzzle({
+    type,
+    content: raw.content,
+    layout,
+    answer: value.answer,
+    alternates: listField(raw.alternates),
+    rejected: listField(raw.rejected),
+    matching: value.matching,
+    difficulty: value.difficulty,
+    timeLimit: value.time_limit,
+    clues: cluesField(raw.clues),
+    autoHints
+  });
+  if (!hasContent(puzzle)) {
+    const field = type === 'layout' ? 'layout' : 'content';
+    return { errors: [rowError(row, field, `${field} is required for ${type} puzzles`)] };
+  }
+  return { puzzle, image: type === 'image' ? image : null };
+}
+
+// Rows as { row, fields } with spreadsheet row numbers (the header is row 1)
+function csvRows(text) {
+  const [header = [], ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(headerKey);
+  if (!keys.includes('answer')) throw new Error('The manifest needs an "answer" column');
+  return lines
+    .map((cells, i) => ({ row: i + 2, cells }))
+    .filter(({ cells }) => cells.some(c => c.trim()))
+    .map(({ row, cells }) => {
+      const fields = {};
+      keys.forEach((key, i) => { if (key && cells[i] !== undefined) fields[key] = cells[i]; });
+      return { row, fields };
+    });
+}
+
+// A JSON list of puzzles, or { puzzles: [...] }; rows are numbered from 1
+function jsonRows(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The manifest is not valid JSON');
+  }
+  const list = Array.isArray(data) ? data : data && data.puzzles;
+  if (!Array.isArray(list)) throw new Error('The manifest must be a list of puzzles');
+  return list.map((entry, i) => {
+    const fields = {};
+    Object.entries(entry && typeof entry === 'object' ? entry : {}).forEach(([name, value]) => {
+      const key = headerKey(name);
+      if (key) fields[key] = value;
+    });
+    return { row: i + 1, fields };
+  });
+}
+
+// Puzzles from a manifest's text: { puzzles: [{ row, puzzle, image }], errors: [{ row, field, message }] }.
+// Rows with problems are left out and reported; throws if the manifest can't be read at all.
+function readManifest(text, format) {
+  const rows = format === 'json' ? jsonRows(text) : csvRows(text);
+  if (rows.length === 0) throw new Error('The manifest has no puzzles');
+  if (rows.length > MAX_ROWS) throw new Error(`The manifest has more than ${MAX_ROWS} rows`);
+
+  const puzzles = [];
+  const errors = [];
+  rows.forEach(({ row, fields }) => {
+    const result = readRow(fields, row);
+    if (result.errors) errors.push(...result.errors);
+    else if (puzzles.length >= MAX_PUZZLES) errors.push(rowError(row, null, `only the first ${MAX_PUZZLES} puzzles are imported`));
+    else puzzles.push({ row, puzzle: result.puzzle, image: result.image });
+  });
+  return { puzzles, errors };
+}
+
+// ─── ZIP Import ───
+
+function isZip(buffer) {
+  return buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Files in the ZIP by normalised path, skipping folders and OS clutter
+function zipFiles(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw new Error('The file is not a readable ZIP archive');
+  }
+  if (entries.length > MAX_ENTRIES) throw new Error(`The ZIP has more than ${MAX_ENTRIES} files`);
+  const size = entries.reduce((sum, e) => sum + e.header.size, 0);
+  if (size > MAX_UNPACKED_SIZE) throw new Error('The ZIP is too large once unpacked');
+
+  const files = new Map();
+  entries.forEach(entry => {
+    const name = path.posix.normalize(entry.entryName.replace(/\\/g, '/'));
+    if (entry.isDirectory || name.startsWith('__MACOSX/') || path.posix.basename(name).startsWith('.')) return;
+    files.set(name, entry);
+  });
+  return files;
+}
+
+// manifest.csv or manifest.json nearest the top, else the archive's only CSV or JSON file
+function findManifest(files) {
+  const names = [...files.keys()].sort((a, b) => a.split('/').length - b.split('/').length);
+  const named = names.find(n => /^manifest\.(csv|json)$/i.test(path.posix.basename(n)));
+  if (named) return named;
+  const candidates = names.filter(n => /\.(csv|json)$/i.test(n));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+// The manifest's path relative to the manifest's folder, then the same file name anywhere
+function findImage(files, manifestDir, image) {
+  const wanted = path.posix.normalize(path.posix.join(manifestDir, image.replace(/\\/g, '/'))).toLowerCase();
+  const names = [...files.keys()];
+  const exact = names.find(n => n.toLowerCase() === wanted);
+  if (exact) return files.get(exact);
+  const base = path.posix.basename(wanted);
+  const matches = names.filter(n => path.posix.basename(n).toLowerCase() === base);
+  return matches.length === 1 ? files.get(matches[0]) : null;
+}
+
+// An uploaded archive or bare manifest as { puzzles: [{ row, puzzle, imageData }], errors }.
+// imageData is the raw image file for image puzzles; rows whose image is missing
+// or too large are reported rather than imported.
+function readPuzzleArchive(buffer, filename = '') {
+  if (!isZip(buffer)) {
+    const format = /\.json$/i.test(filename) || /^\s*[[{]/.test(buffer.toString('utf8', 0, 64)) ? 'json' : 'csv';
+    const { puzzles, errors } = readManifest(buffer.toString('utf8'), format);
+    puzzles.filter(p => p.image).forEach(p => {
+      errors.push(rowError(p.row, 'image', `${p.image} can't be found; upload a ZIP with the images and the manifest`));
+    });
+    return { puzzles: puzzles.filter(p => !p.image).map(p => ({ row: p.row, puzzle: p.puzzle, imageData: null })), errors };
+  }
+
+  const files = zipFiles(buffer);
+  const manifestName = findManifest(files);
+  if (!manifestName) throw new Error('The ZIP has no manifest.csv or manifest.json');
+
+  // zipFiles checked the sizes the archive declares, which it can lie about; the
+  // bytes actually unpacked count against the same limit
+  let unpacked = 0;
+  const unpackedEntries = new Map();  // rows may share an image
+  function unpack(entry) {
+    if (unpackedEntries.has(entry)) return unpackedEntries.get(entry);
+    let data;
+    try {
+      data = entry.getData();
+    } catch (err) {
+      // Including entries that unpack to more than they declare
+      throw new Error(`${entry.entryName} in the ZIP could not be unpacked`);
+    }
+    unpackedEntries.set(entry, data);
+    unpacked += data.length;
+    if (unpacked > MAX_UNPACKED_SIZE) throw new Error('The ZIP is too large once unpacked');
+    return data;
+  }
+
+  const format = /\.json$/i.test(manifestName) ? 'json' : 'csv';
+  const { puzzles, errors } = readManifest(unpack(files.get(manifestName)).toString('utf8'), format);
+  const manifestDir = path.posix.dirname(manifestName);
+
+  const imported = [];
+  puzzles.forEach(({ row, puzzle, image }) => {
+    if (!image) return imported.push({ row, puzzle, imageData: null });
+    const entry = findImage(files, manifestDir, image);
+    if (!entry) return errors.push(rowError(row, 'image', `${image} is not in the ZIP`));
+    if (!IMAGE_EXTENSIONS.includes(path.posix.extname(entry.entryName).toLowerCase())) {
+      return errors.push(rowError(row, 'image', `${image} is not an image file`));
+    }
+    if (entry.header.size > MAX_IMAGE_SIZE) return errors.push(rowError(row, 'image', `${image} is larger than 5MB`));
+    const imageData = unpack(entry);
+    if (imageData.length > MAX_IMAGE_SIZE) return errors.push(rowError(row, 'image', `${image} is larger than 5MB`));
+    imported.push({ row, puzzle, imageData });
+  });
+  errors.sort((a, b) => a.row - b.row);
+  return { puzzles: imported, errors };
+}
+
+// ─── ZIP Export ───
+
+// Guessed from the file's first bytes; exported images keep whatever format they were stored in
+function imageExtension(buffer) {
+  if (buffer.slice(0, 4).toString('hex') === '89504e47') return '.png';
+  if (buffer.slice(0, 3).toString('hex') === 'ffd8ff') return '.jpg';
+  if (buffer.slice(0, 4).toString() === 'GIF8') return '.gif';
+  if (buffer.slice(8, 12).toString() === 'WEBP') return '.webp';
+  return '.img';
+}
+
+function formatClues(clues) {
+  return clues.map(c => [c.text, c.revealAt, c.cost ?? ''].join(' | ')).join('\n');
+}
+
+function manifestCsv(rows) {
+  const lines = rows.map(p => [
+    p.type,
+    p.image,
+    p.content,
+    p.type === 'layout' ? JSON.stringify(p.layout) : '',
+    p.answer,
+    p.alternates.join('; '),
+    p.rejected.join('; '),
+    p.matching,
+    p.difficulty,
+    p.timeLimit,
+    formatClues(p.clues),
+    p.autoHints ? 'yes' : 'no'
+  ]);
+  return [COLUMNS, ...lines].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function manifestJson(rows) {
+  return JSON.stringify({
+    puzzles: rows.map(p => ({
+      type: p.type,
+      ...(p.image ? { image: p.image } : {}),
+      ...(p.type === 'text' || p.type === 'emoji' ? { content: p.content } : {}),
+      ...(p.type === 'layout' ? { layout: p.layout } : {}),
+      answer: p.answer,
+      alternates: p.alternates,
+      rejected: p.rejected,
+      matching: p.matching,
+      difficulty: p.difficulty,
+      timeLimit: p.timeLimit,
+      clues: p.clues,
+      autoHints: p.autoHints
+    }))
+  }, null, 2) + '\n';
+}
+
+// A ZIP of `puzzles` (cleaned puzzles with `imageData` buffers for image puzzles)
+// that readPuzzleArchive reads back to the same set
+function writePuzzleArchive(puzzles, format = 'csv') {
+  const zip = new AdmZip();
+  const rows = puzzles.map(({ imageData, ...p }, i) => {
+    const puzzle = cleanPuzzle(p);
+    if (puzzle.type !== 'image' || !imageData) return { ...puzzle, image: '' };
+    const image = `images/${String(i + 1).padStart(2, '0')}${imageExtension(imageData)}`;
+    zip.addFile(image, imageData);
+    return { ...puzzle, image };
+  });
+  if (format === 'json') zip.addFile('manifest.json', Buffer.from(manifestJson(rows)));
+  else zip.addFile('manifest.csv', Buffer.from(manifestCsv(rows)));
+  return zip.toBuffer();
+}
+
+module.exports = { readPuzzleArchive, writePuzzleArchive, readManifest, parseCsv };
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { cleanClues } = require('./hints');
+const { cleanPuzzleContent } = require('./puzzle-types');
+
+// ─── Puzzle Library ───
+// Named puzzle packs stored on local disk, one directory per pack:
+//   <dir>/<packId>/pack.json   metadata (name, tags, puzzles)
+//   <dir>/<packId>/<file>      images of the pack's image puzzles, referenced by pack.json
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// A puzzle may set its own round length in seconds; null uses the game's setting
+const MIN_TIME_LIMIT = 5;
+const MAX_TIME_LIMIT = 300;
+
+// How strictly guesses are compared against a puzzle's accepted answers
+//   exact       normalized text must match
+//   typo        small typos accepted, near misses earn partial credit
+//   word-order  like typo, but the words may come in any order
+const MATCHING_MODES = ['exact', 'typo', 'word-order'];
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg'
+};
+
+function cleanList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map(v => String(v).trim().slice(0, 100)).filter(Boolean).slice(0, 20);
+}
+
+function cleanTimeLimit(value) {
+  const seconds = parseInt(value);
+  return Number.isFinite(seconds) ? Math.min(Math.max(seconds, MIN_TIME_LIMIT), MAX_TIME_LIMIT) : null;
+}
+
+function cleanPuzzle(p) {
+  return {
+    answer: String(p.answer || '').trim().slice(0, 100) || 'Unknown',
+    alternates: cleanList(p.alternates),
+    rejected: cleanList(p.rejected),
+    matching: MATCHING_MODES.includes(p.matching) ? p.matching : 'typo',
+    difficulty: DIFFICULTIES.includes(p.difficulty) ? p.difficulty : 'medium',
+    timeLimit: cleanTimeLimit(p.timeLimit),
+    clues: cleanClues(p.clues),
+    autoHints: p.autoHints !== false,
+    ...cleanPuzzleContent(p)
+  };
+}
+
+function createPuzzleLibrary(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function packDir(packId) {
+    // Pack ids are uuids we generate; refuse anything that could escape the library dir
+    if (!/^[a-f0-9-]{36}$/.test(packId)) return null;
+    return path.join(dir, packId);
+  }
+
+  function readPack(packId) {
+    const pDir = packDir(packId);
+    if (!pDir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(pDir, 'pack.json'), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writePack(pack) {
+    const file = path.join(packDir(pack.id), 'pack.json');
+    fs.writeFileSync(file + '.tmp', JSON.stringify(pack, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  function saveImage(packId, file) {
+    const name = uuidv4() + (EXTENSIONS[file.mimetype] || '.img');
+    fs.writeFileSync(path.join(packDir(packId), name), file.buffer);
+    return name;
+  }
+
+  function summarize(pack) {
+    return {
+      id: pack.id,
+      name: pack.name,
+      tags: pack.tags,
+      puzzleCount: pack.puzzles.length,
+      createdAt: pack.createdAt,
+      updatedAt: pack.updatedAt
+    };
+  }
+
+  function listPacks() {
+    return fs.readdirSync(dir)
+      .map(readPack)
+      .filter(Boolean)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  function getPack(packId) {
+    return readPack(packId);
+  }
+
+  // A puzzle with its image, if it is an image puzzle and a file is left to take
+  function buildPuzzle(packId, entry, files) {
+    const puzzle = { id: uuidv4().slice(0, 8), image: null, ...cleanPuzzle(entry) };
+    if (puzzle.type === 'image') {
+      if (!files.length) return null;
+      puzzle.image = saveImage(packId, files.shift());
+    }
+    return puzzle;
+  }
+
+  // Image puzzles among `puzzles` take the uploaded `files` in order; files left
+  // over become image puzzles of their own
+  function createPack({ name, tags, puzzles }, files) {
+    const id = uuidv4();
+    fs.mkdirSync(path.join(dir, id));
+    const now = Date.now();
+    const remaining = [...files];
+    const built = (puzzles || []).map(p => buildPuzzle(id, p || {}, remaining));
+    while (remaining.length) built.push(buildPuzzle(id, {}, remaining));
+    const pack = {
+      id,
+      editToken: uuidv4(),  // secret needed to change or delete the pack; only ever sent to its creator
+      name: String(name).trim(),
+      tags: cleanList(tags),
+      createdAt: now,
+      updatedAt: now,
+      puzzles: built.filter(Boolean)
+    };
+    writePack(pack);
+    return pack;
+  }
+
+  // Entries in `puzzles` that carry an existing `id` keep their image; new image
+  // entries consume the next uploaded file. Puzzles left out are deleted.
+  function updatePack(packId, { name, tags, puzzles }, files) {
+    const pack = readPack(packId);
+    if (!pack) return null;
+
+    if (name !== undefined) pack.name = String(name).trim();
+    if (tags !== undefined) pack.tags = cleanList(tags);
+
+    if (Array.isArray(puzzles)) {
+      const existing = new Map(pack.puzzles.map(p => [p.id, p]));
+      const newFiles = [...(files || [])];
+      const next = [];
+      puzzles.forEach(p => {
+        const prev = p.id && existing.get(p.id);
+        if (prev) {
+          existing.delete(p.id);
+          // A puzzle's type is fixed once saved
+          next.push({ id: prev.id, image: prev.image, ...cleanPuzzle({ ...p, type: prev.type || 'image' }) });
+        } else {
+          const puzzle = buildPuzzle(packId, p, newFiles);
+          if (puzzle) next.push(puzzle);
+        }
+      });
+      existing.forEach(p => {
+        if (p.image) fs.rmSync(path.join(packDir(packId), p.image), { force: true });
+      });
+      pack.puzzles = next;
+    }
+
+    pack.updatedAt = Date.now();
+    writePack(pack);
+    return pack;
+  }
+
+  function deletePack(packId) {
+    if (!readPack(packId)) return false;
+    fs.rmSync(packDir(packId), { recursive: true, force: true });
+    return true;
+  }
+
+  function imagePath(packId, image) {
+    const pack = readPack(packId);
+    if (!pack || !image || !pack.puzzles.some(p => p.image === image)) return null;
+    return path.join(packDir(packId), image);
+  }
+
+  // Puzzles with image puzzles' bytes as `imageData`, ready to be copied into a room
+  function loadPuzzles(packId) {
+    const pack = readPack(packId);
+    if (!pack) return null;
+    return pack.puzzles.map(p => ({
+      imageData: p.image ? fs.readFileSync(path.join(packDir(packId), p.image)) : null,
+      ...cleanPuzzle(p)
+    }));
+  }
+
+  return { listPacks, getPack, createPack, updatePack, deletePack, imagePath, loadPuzzles };
+}
+
+module.exports = { createPuzzleLibrary, cleanPuzzle, DIFFICULTIES, MATCHING_MODES, MIN_TIME_LIMIT, MAX_TIME_LIMIT };
@@ -0,0 +1,76 @@
+// ─── Puzzle Types ───
+// What a puzzle shows players. Everything else about a puzzle (answer, matching,
+// hints) works the same for every type.
+//   image   an uploaded picture; puzzle.image is its key in the image store
+//   text    a typographic rebus, puzzle.content shown as typed with line breaks kept,
+//           e.g. "STAND\nI" → "I understand"
+//   emoji   an emoji rebus, puzzle.content shown large, e.g. "🐝 + 🍃" → "believe"
+//   layout  words placed on a card, puzzle.layout, drawn as an SVG by renderLayoutSvg
+
+const PUZZLE_TYPES = ['image', 'text', 'emoji', 'layout'];
+const MAX_CONTENT_LENGTH = 200;
+const MAX_LAYOUT_ITEMS = 20;
+const FLIPS = ['none', 'horizontal', 'vertical'];
+
+// The layout card is 400×300; x and y are percentages of it, size is in card pixels
+const CARD_WIDTH = 400;
+const CARD_HEIGHT = 300;
+const DEFAULT_COLOR = '#1a1a2e';
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.round(n))) : fallback;
+}
+
+// { text, x, y, size, rotate, flip, color, bold }
+function cleanLayoutItem(item) {
+  return {
+    text: String(item.text || '').trim().slice(0, 40),
+    x: clamp(item.x, 0, 100, 50),
+    y: clamp(item.y, 0, 100, 50),
+    size: clamp(item.size, 8, 160, 48),
+    rotate: clamp(item.rotate, -180, 180, 0),
+    flip: FLIPS.includes(item.flip) ? item.flip : 'none',
+    color: /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : DEFAULT_COLOR,
+    bold: !!item.bold
+  };
+}
+
+// The type-specific fields of a puzzle entry
+function cleanPuzzleContent(p) {
+  const type = PUZZLE_TYPES.includes(p.type) ? p.type : 'image';
+  if (type === 'text' || type === 'emoji') {
+    return { type, content: String(p.content || '').replace(/\r\n?/g, '\n').trim().slice(0, MAX_CONTENT_LENGTH) };
+  }
+  if (type === 'layout') {
+    const items = Array.isArray(p.layout) ? p.layout : [];
+    return { type, layout: items.slice(0, MAX_LAYOUT_ITEMS).filter(i => i && typeof i === 'object').map(cleanLayoutItem).filter(i => i.text) };
+  }
+  return { type };
+}
+
+// Non-image puzzles carry what they show; an empty one can't be played
+function hasContent(p) {
+  if (p.type === 'text' || p.type === 'emoji') return !!p.content;
+  if (p.type === 'layout') return p.layout.length > 0;
+  return true;
+}
+
+function escapeXml(str) {
+  return str.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' }[c]));
+}
+
+function renderLayoutSvg(layout) {
+  const items = layout.map(item => {
+    const x = (item.x / 100) * CARD_WIDTH;
+    const y = (item.y / 100) * CARD_HEIGHT;
+    const scale = item.flip === 'horizontal' ? ' scale(-1 1)' : item.flip === 'vertical' ? ' scale(1 -1)' : '';
+    return `<text transform="translate(${x} ${y}) rotate(${item.rotate})${scale}" font-size="${item.size}" fill="${item.color}"` +
+      `${item.bold ? ' font-weight="700"' : ''} text-anchor="middle" dominant-baseline="central">${escapeXml(item.text)}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" width="${CARD_WIDTH * 2}" height="${CARD_HEIGHT * 2}">` +
+    `<rect width="100%" height="100%" fill="#fffdf7"/>` +
+    `<g font-family="'Arial Black', Arial, Helvetica, sans-serif">${items.join('')}</g></svg>`;
+}
+
+module.exports = { PUZZLE_TYPES, cleanPuzzleContent, cleanLayoutItem, hasContent, renderLayoutSvg };
@@ -0,0 +1,44 @@
+// ─── Rate Limiting ───
+// Token buckets keyed by socket id or client IP. Each key holds up to `capacity`
+// tokens and regains `perSecond` of them every second; take() spends one and
+// allows() checks for one without spending it.
+
+function createRateLimiter({ capacity, perSecond }) {
+  const buckets = new Map();
+
+  function refill(key) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  function take(key) {
+    const bucket = refill(key);
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  function allows(key) {
+    return refill(key).tokens >= 1;
+  }
+
+  function forget(key) {
+    buckets.delete(key);
+  }
+
+  // Buckets that have refilled completely carry no state worth keeping
+  function prune() {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond >= capacity) buckets.delete(key);
+    });
+  }
+
+  return { take, allows, forget, prune };
+}
+
+module.exports = { createRateLimiter };
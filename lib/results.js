@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Game Results ───
+// Summaries of finished games, kept after their room is cleaned up. Each game a room
+// plays ("play again") is kept apart by its gameNumber. Every store exposes:
+//   save(summary)            persist the summary of one of a room's finished games
+//   get(code, gameNumber)    that game's summary (the room's latest if gameNumber is
+//                            left out), or null
+
+function createMemoryResultsStore() {
+  const rooms = new Map();  // code → gameNumber → summary
+  return {
+    save(summary) {
+      if (!rooms.has(summary.roomCode)) rooms.set(summary.roomCode, new Map());
+      rooms.get(summary.roomCode).set(summary.gameNumber, summary);
+    },
+    get(code, gameNumber) {
+      const games = rooms.get(code);
+      if (!games) return null;
+      return games.get(gameNumber === undefined ? Math.max(...games.keys()) : gameNumber) || null;
+    }
+  };
+}
+
+function createFileResultsStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function folder(code) {
+    // Room codes are our own A-Z0-9 codes; refuse anything that could escape the results dir
+    return /^[A-Z0-9]+$/.test(code) ? path.join(dir, code) : null;
+  }
+
+  function read(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  return {
+    save(summary) {
+      const target = path.join(folder(summary.roomCode), `${summary.gameNumber}.json`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target + '.tmp', JSON.stringify(summary));
+      fs.renameSync(target + '.tmp', target);
+    },
+    get(code, gameNumber) {
+      const games = folder(code);
+      if (!games) return null;
+      const numbers = fs.existsSync(games)
+        ? fs.readdirSync(games).map(f => /^(\d+)\.json$/.exec(f)).filter(Boolean).map(m => Number(m[1]))
+        : [];
+      const wanted = gameNumber === undefined ? Math.max(...numbers) : gameNumber;
+      if (numbers.includes(wanted)) return read(path.join(games, `${wanted}.json`));
+      // Saved before games were kept apart: <code>.json holds the room's last game only
+      const legacy = read(path.join(dir, `${code}.json`));
+      return legacy && (gameNumber === undefined || legacy.gameNumber === gameNumber) ? legacy : null;
+    }
+  };
+}
+
+function createResultsStore(type, options = {}) {
+  if (type === 'memory') return createMemoryResultsStore();
+  if (type === 'file') return createFileResultsStore(options.dir);
+  throw new Error(`Unknown results store "${type}"`);
+}
+
+// ─── CSV Export ───
+// One row per guess, with each player's final score alongside
+
+const CSV_COLUMNS = ['round', 'answer', 'player', 'team', 'guess', 'match', 'points', 'seconds', 'timestamp', 'final_score'];
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function resultsToCsv(summary) {
+  const players = new Map(summary.players.map(p => [p.id, p]));
+  const teams = new Map((summary.teams || []).map(t => [t.id, t.name]));
+  const rows = [];
+  summary.rounds.forEach(round => {
+    round.guesses.forEach(g => {
+      const player = players.get(g.playerId) || {};
+      rows.push([
+        round.roundNum,
+        round.answer,
+        player.name,
+        teams.get(player.teamId),
+        g.guess,
+        g.match,
+        g.points,
+        (g.elapsed / 1000).toFixed(1),
+        new Date(g.at).toISOString(),
+        player.score
+      ]);
+    });
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = { createResultsStore, createMemoryResultsStore, createFileResultsStore, resultsToCsv };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Room Leases ───
+// Which server process owns each room when several share the room store. Only the
+// owner keeps the room in memory, runs its handlers and arms its round timers, so
+// every timer fires exactly once. A lease expires unless its owner renews it, and
+// any process may then claim the room and restore it from the store.
+// Every store exposes:
+//   claim(code, nodeId)    take the lease if it's free, expired or already ours; true if we hold it
+//   renew(code, nodeId)    extend a lease we hold; false if another node has taken it
+//   owner(code)            the nodeId holding a live lease, or null
+//   release(code, nodeId)  give up a lease we hold
+//   expired(codes)         which of `codes` have no live lease
+
+const DEFAULT_TTL = 15 * 1000;
+
+function createMemoryLeaseStore({ ttl = DEFAULT_TTL } = {}) {
+  const leases = new Map();
+
+  function live(code) {
+    const lease = leases.get(code);
+    return lease && lease.expiresAt > Date.now() ? lease : null;
+  }
+
+  return {
+    claim(code, nodeId) {
+      const lease = live(code);
+      if (lease && lease.nodeId !== nodeId) return false;
+      leases.set(code, { nodeId, expiresAt: Date.now() + ttl });
+      return true;
+    },
+    renew(code, nodeId) {
+      return this.claim(code, nodeId);
+    },
+    owner(code) {
+      const lease = live(code);
+      return lease ? lease.nodeId : null;
+    },
+    release(code, nodeId) {
+      const lease = leases.get(code);
+      if (lease && lease.nodeId === nodeId) leases.delete(code);
+    },
+    expired(codes) {
+      return codes.filter(code => !live(code));
+    }
+  };
+}
+
+// One <code>.lease file per room. Claims take a short-lived <code>.lock (created
+// with O_EXCL) so two processes can't both see a lease as free and take it.
+function createFileLeaseStore(dir, { ttl = DEFAULT_TTL } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const STALE_LOCK = 5000;
+
+  function leaseFile(code) {
+    return path.join(dir, `${code}.lease`);
+  }
+
+  function read(code) {
+    try {
+      const lease = JSON.parse(fs.readFileSync(leaseFile(code), 'utf8'));
+      return lease.expiresAt > Date.now() ? lease : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // fn's result, or null if another process holds the lock right now
+  function withLock(code, fn) {
+    const lock = path.join(dir, `${code}.lock`);
+    try {
+      fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      // A process that died holding the lock leaves it behind; clear it once it's stale
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK) fs.rmSync(lock, { force: true });
+      } catch (statErr) { /* removed meanwhile */ }
+      return null;
+    }
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lock, { force: true });
+    }
+  }
+
+  function write(code, nodeId) {
+    const file = leaseFile(code);
+    fs.writeFileSync(file + '.tmp', JSON.stringify({ nodeId, expiresAt: Date.now() + ttl }));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  return {
+    claim(code, nodeId) {
+      return withLock(code, () => {
+        const lease = read(code);
+        if (lease && lease.nodeId !== nodeId) return false;
+        write(code, nodeId);
+        return true;
+      }) === true;
+    },
+    renew(code, nodeId) {
+      // Losing the lock to someone else's claim attempt isn't losing the lease; retry next beat
+      return withLock(code, () => {
+        const lease = read(code);
+        if (lease && lease.nodeId !== nodeId) return false;
+        write(code, nodeId);
+        return true;
+      }) !== false;
+    },
+    owner(code) {
+      const lease = read(code);
+      return lease ? lease.nodeId : null;
+    },
+    release(code, nodeId) {
+      withLock(code, () => {
+        const lease = read(code);
+        if (lease && lease.nodeId === nodeId) fs.rmSync(leaseFile(code), { force: true });
+      });
+    },
+    expired(codes) {
+      return codes.filter(code => !read(code));
+    }
+  };
+}
+
+function createLeaseStore(type, options = {}) {
+  if (type === 'memory') return createMemoryLeaseStore(options);
+  if (type === 'file') return createFileLeaseStore(options.dir, options);
+  throw new Error(`Unknown lease store "${type}"`);
+}
+
+module.exports = { createLeaseStore, createMemoryLeaseStore, createFileLeaseStore, DEFAULT_TTL };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// ─── Room Stores ───
+// Snapshots of room state so live games survive a restart. Every store exposes:
+//   save(snapshot)             persist a room's serializable state (without puzzles)
+//   savePuzzles(code, puzzles) persist a room's puzzle set (large, so written separately)
+//   remove(code)               forget a room
+//   load(code)                 { ...snapshot, puzzles } for one room, or null
+//   loadAll()                  [{ ...snapshot, puzzles }] for every stored room
+//   codes()                    the codes of every stored room
+
+function createMemoryRoomStore() {
+  const snapshots = new Map();
+  const puzzles = new Map();
+  return {
+    save(snapshot) { snapshots.set(snapshot.code, snapshot); },
+    savePuzzles(code, list) { puzzles.set(code, list); },
+    remove(code) { snapshots.delete(code); puzzles.delete(code); },
+    load(code) {
+      const s = snapshots.get(code);
+      return s ? { ...s, puzzles: puzzles.get(code) || [] } : null;
+    },
+    loadAll() {
+      return [...snapshots.values()].map(s => ({ ...s, puzzles: puzzles.get(s.code) || [] }));
+    },
+    codes() { return [...snapshots.keys()]; }
+  };
+}
+
+function createFileRoomStore(dir, log = createLogger()) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function writeAtomic(file, data) {
+    fs.writeFileSync(file + '.tmp', data);
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  function read(file) {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const puzzlesFile = path.join(dir, `${snapshot.code}.puzzles.json`);
+    const puzzles = fs.existsSync(puzzlesFile) ? JSON.parse(fs.readFileSync(puzzlesFile, 'utf8')) : [];
+    return { ...snapshot, puzzles };
+  }
+
+  function snapshotFiles() {
+    return fs.readdirSync(dir).filter(f => /^[A-Z0-9]+\.json$/.test(f));
+  }
+
+  return {
+    save(snapshot) {
+      writeAtomic(path.join(dir, `${snapshot.code}.json`), JSON.stringify(snapshot));
+    },
+    savePuzzles(code, list) {
+      writeAtomic(path.join(dir, `${code}.puzzles.json`), JSON.stringify(list));
+    },
+    remove(code) {
+      fs.rmSync(path.join(dir, `${code}.json`), { force: true });
+      fs.rmSync(path.join(dir, `${code}.puzzles.json`), { force: true });
+    },
+    load(code) {
+      if (!/^[A-Z0-9]+$/.test(code) || !fs.existsSync(path.join(dir, `${code}.json`))) return null;
+      try {
+        return read(`${code}.json`);
+      } catch (err) {
+        log.error('room.snapshot_unreadable', { roomCode: code, err });
+        return null;
+      }
+    },
+    loadAll() {
+      return snapshotFiles()
+        .map(f => {
+          try {
+            return read(f);
+          } catch (err) {
+            log.error('room.snapshot_unreadable', { file: f, err });
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+    codes() {
+      return snapshotFiles().map(f => f.slice(0, -'.json'.length));
+    }
+  };
+}
+
+function createRoomStore(type, options = {}) {
+  if (type === 'memory') return createMemoryRoomStore();
+  if (type === 'file') return createFileRoomStore(options.dir, options.log);
+  throw new Error(`Unknown room store "${type}"`);
+}
+
+module.exports = { createRoomStore, createMemoryRoomStore, createFileRoomStore };
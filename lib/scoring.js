@@ -0,0 +1,99 @@
+// ─── Scoring ───
+// Presets the host picks at start-game. Every accepted guess gets a breakdown so
+// players can see where their points came from.
+//   mode               'time' scales with time remaining, 'flat' awards flatPoints
+//   partialCredit      whether near misses score (otherwise they count as wrong)
+//   firstCorrectBonus  extra points for the first correct solver of a round
+//   ordinalBonuses     extra points for the 1st / 2nd / 3rd correct solver
+//   streakStep         multiplier added per consecutive correctly solved round
+//   streakMax          cap on the streak multiplier
+//   wrongGuessPenalty  points deducted per wrong guess
+
+const SCORING_PRESETS = {
+  classic: {
+    label: 'Classic',
+    mode: 'time',
+    partialCredit: true,
+    firstCorrectBonus: 0,
+    ordinalBonuses: [],
+    streakStep: 0,
+    streakMax: 1,
+    wrongGuessPenalty: 0
+  },
+  casual: {
+    label: 'Casual',
+    mode: 'time',
+    partialCredit: true,
+    firstCorrectBonus: 0,
+    ordinalBonuses: [50, 30, 20],
+    streakStep: 0.1,
+    streakMax: 1.3,
+    wrongGuessPenalty: 0
+  },
+  competitive: {
+    label: 'Competitive',
+    mode: 'time',
+    partialCredit: false,
+    firstCorrectBonus: 100,
+    ordinalBonuses: [150, 100, 50],
+    streakStep: 0.1,
+    streakMax: 1.5,
+    wrongGuessPenalty: 25
+  },
+  flat: {
+    label: 'Correct is correct',
+    mode: 'flat',
+    flatPoints: 100,
+    partialCredit: false,
+    firstCorrectBonus: 0,
+    ordinalBonuses: [],
+    streakStep: 0,
+    streakMax: 1,
+    wrongGuessPenalty: 0
+  }
+};
+
+function getScoringRules(preset) {
+  return SCORING_PRESETS[preset] || SCORING_PRESETS.classic;
+}
+
+function calcScore(timeRemaining, totalTime, matchType, similarity) {
+  const timeRatio = Math.min(1, timeRemaining / totalTime);
+  let base = Math.round(1000 * timeRatio);
+  base = Math.max(base, 50); // minimum 50 for any correct
+
+  if (matchType === 'partial') {
+    // Partial credit: 50% × similarity
+    return Math.max(10, Math.round(base * 0.5 * similarity));
+  }
+
+  // Correct but with typos: scale by similarity
+  // Exact match (similarity=1) → 100% score
+  // 1 typo (~0.89 similarity) → ~90% score
+  // 2 typos (~0.78 similarity) → ~80% score
+  const accuracyMultiplier = 0.5 + 0.5 * similarity; // maps 0→0.5, 1→1.0
+  return Math.max(25, Math.round(base * accuracyMultiplier));
+}
+
+// `solverIndex` is how many players already solved this round correctly, or null
+// when nobody plays at the same time (a challenge), which earns no order bonuses;
+// `streak` counts consecutive correctly solved rounds including this one.
+function scoreAnswer(rules, { timeRemaining, totalTime, match, similarity, solverIndex, streak }) {
+  const base = rules.mode === 'flat'
+    ? rules.flatPoints
+    : calcScore(timeRemaining, totalTime, match, similarity);
+
+  const breakdown = { base, firstBonus: 0, ordinalBonus: 0, streakMultiplier: 1, streakBonus: 0 };
+  if (match === 'correct') {
+    if (solverIndex === 0) breakdown.firstBonus = rules.firstCorrectBonus;
+    breakdown.ordinalBonus = rules.ordinalBonuses[solverIndex] || 0;
+    if (streak > 1 && rules.streakStep > 0) {
+      breakdown.streakMultiplier = Math.min(rules.streakMax, 1 + rules.streakStep * (streak - 1));
+      breakdown.streakBonus = Math.round(base * (breakdown.streakMultiplier - 1));
+    }
+  }
+  breakdown.points = base + breakdown.firstBonus + breakdown.ordinalBonus + breakdown.streakBonus;
+  return breakdown;
+}
+
+module.exports = { SCORING_PRESETS, getScoringRules, calcScore, scoreAnswer };
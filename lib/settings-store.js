@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Settings Stores ───
+// Server settings the admin console can change while running, kept so they survive
+// a restart and are shared by every process using the same data directory.
+// Every store exposes:
+//   load()           the saved settings, or {} if none were ever saved
+//   save(settings)   replace the saved settings
+
+function createMemorySettingsStore() {
+  let settings = {};
+  return {
+    load() { return { ...settings }; },
+    save(next) { settings = { ...next }; }
+  };
+}
+
+function createFileSettingsStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, 'settings.json');
+
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+      }
+    },
+    save(settings) {
+      fs.writeFileSync(file + '.tmp', JSON.stringify(settings, null, 2));
+      fs.renameSync(file + '.tmp', file);
+    }
+  };
+}
+
+function createSettingsStore(type, options = {}) {
+  if (type === 'memory') return createMemorySettingsStore();
+  if (type === 'file') return createFileSettingsStore(options.dir);
+  throw new Error(`Unknown settings store "${type}"`);
+}
+
+module.exports = { createSettingsStore, createMemorySettingsStore, createFileSettingsStore };
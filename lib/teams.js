@@ -0,0 +1,91 @@
+// ─── Teams ───
+// A room is in team mode when room.teams is non-empty. Players carry a teamId.
+// How a team's score is derived from its members (room.teamScoring):
+//   sum      total of every member's score
+//   average  members' scores averaged, so team size doesn't matter
+//   first    each round only the first teammate to solve it scores for the team
+
+const TEAM_SCORING = ['sum', 'average', 'first'];
+const TEAM_COLORS = ['#ff8a42', '#38d9a9', '#b197fc', '#ff6b8a', '#ffd43b', '#4d96ff', '#51cf66', '#ffa94d'];
+const MAX_TEAMS = TEAM_COLORS.length;
+
+function createTeams(names) {
+  return names
+    .map(n => String(n).trim().slice(0, 24))
+    .filter(Boolean)
+    .slice(0, MAX_TEAMS)
+    .map((name, i) => ({ id: `t${i + 1}`, name, color: TEAM_COLORS[i], firstScore: 0 }));
+}
+
+function teamMembers(room, teamId) {
+  return Object.values(room.players).filter(p => p.teamId === teamId);
+}
+
+function smallestTeam(room) {
+  return room.teams
+    .map(t => ({ team: t, size: teamMembers(room, t.id).length }))
+    .sort((a, b) => a.size - b.size)[0].team;
+}
+
+// Keep valid assignments, put everyone else on the smallest team
+function assignUnassigned(room) {
+  const ids = new Set(room.teams.map(t => t.id));
+  Object.values(room.players).forEach(p => {
+    if (!ids.has(p.teamId)) p.teamId = null;
+  });
+  Object.values(room.players).forEach(p => {
+    if (!p.teamId) p.teamId = smallestTeam(room).id;
+  });
+}
+
+// Shuffle everyone into evenly sized teams
+function balanceTeams(room) {
+  const players = Object.values(room.players);
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+  players.forEach((p, i) => { p.teamId = room.teams[i % room.teams.length].id; });
+}
+
+function teamsPayload(room) {
+  return {
+    teamMode: room.teams.length > 0,
+    teamScoring: room.teamScoring,
+    teams: room.teams.map(t => ({ id: t.id, name: t.name, color: t.color }))
+  };
+}
+
+function getTeamLeaderboard(room) {
+  return room.teams
+    .map(t => {
+      const members = teamMembers(room, t.id);
+      // Players whose score the host ignores don't count toward their team
+      const scorers = members.filter(p => !p.scoreIgnored);
+      const total = scorers.reduce((sum, p) => sum + p.score, 0);
+      let score = total;
+      if (room.teamScoring === 'average') score = scorers.length ? Math.round(total / scorers.length) : 0;
+      if (room.teamScoring === 'first') score = t.firstScore;
+      return {
+        id: t.id,
+        name: t.name,
+        color: t.color,
+        score,
+        members: members.length,
+        online: members.filter(p => p.online).length
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  TEAM_SCORING,
+  MAX_TEAMS,
+  createTeams,
+  teamMembers,
+  smallestTeam,
+  assignUnassigned,
+  balanceTeams,
+  teamsPayload,
+  getTeamLeaderboard
+};
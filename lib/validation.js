@@ -0,0 +1,126 @@
+// ─── Payload Validation ───
+// Tiny schema checker for socket payloads and request bodies. A schema maps each
+// field to a rule; validate() returns { value } with the cleaned payload (strings
+// trimmed, room codes upper-cased, unknown fields dropped) or { error } naming the
+// first bad field.
+
+// Codes sent to clients in `error-msg` ({ code, message }) and REST errors ({ code, error })
+const ERRORS = {
+  INVALID_PAYLOAD: 'Invalid request',
+  RATE_LIMITED: 'Slow down! Too many requests',
+  GUESS_COOLDOWN: 'Wait a moment before guessing again',
+  ROOM_NOT_FOUND: 'Room not found',
+  ROOM_NOT_READY: 'Room is not ready yet',
+  NOT_HOST: 'Not the host of this room',
+  UNAUTHORIZED: 'Missing or wrong credentials',
+  ADMIN_DISABLED: 'The admin console is turned off; set ADMIN_PASSWORD to enable it',
+  PAUSED: 'The round is paused',
+  NO_MORE_HINTS: 'No more hints for this puzzle',
+  HINT_NOT_EARLY: 'This hint can\'t be revealed early',
+  UPLOAD_REJECTED: 'Upload rejected',
+  KICKED: 'You were removed from the room by the host',
+  BANNED: 'You have been banned from this room',
+  NAME_TAKEN: 'Someone in this room already has that name',
+  NAME_REJECTED: 'That name isn\'t allowed, please pick another',
+  SCORE_IGNORED: 'The host has excluded your score from this game',
+  PACK_NOT_FOUND: 'Puzzle pack not found',
+  NOT_PACK_EDITOR: 'Only whoever saved this pack can change it',
+  NOT_FOUND: 'Not found',
+  GAME_NOT_RUNNING: 'No game is running in this room',
+  ROOM_CLOSED: 'This room was closed by an administrator',
+  CHALLENGE_NOT_OPEN: 'This challenge isn\'t open right now',
+  USERNAME_TAKEN: 'That username is taken',
+  LOGIN_FAILED: 'Wrong username or password',
+  PROFILE_NOT_FOUND: 'Profile not found',
+  ROOM_UNAVAILABLE: 'The room is moving to another server, try again in a moment',
+  SERVER_ERROR: 'Something went wrong'
+};
+
+function fail(field, problem) {
+  return { error: `${field} ${problem}` };
+}
+
+function str({ min = 1, max = 200, pattern, upper = false, optional = false } = {}) {
+  return (v, field) => {
+    if (v === undefined || v === null || v === '') {
+      return optional ? { value: undefined } : fail(field, 'is required');
+    }
+    if (typeof v !== 'string') return fail(field, 'must be text');
+    let value = v.trim();
+    if (upper) value = value.toUpperCase();
+    if (!value) return optional ? { value: undefined } : fail(field, 'is required');
+    if (value.length < min) return fail(field, 'is too short');
+    if (value.length > max) return fail(field, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(value)) return fail(field, 'is not valid');
+    return { value };
+  };
+}
+
+function int({ min, max, optional = false } = {}) {
+  return (v, field) => {
+    if (v === undefined || v === null || v === '') {
+      return optional ? { value: undefined } : fail(field, 'is required');
+    }
+    const value = typeof v === 'string' ? Number(v) : v;
+    if (!Number.isInteger(value)) return fail(field, 'must be a whole number');
+    if (value < min || value > max) return fail(field, `must be between ${min} and ${max}`);
+    return { value };
+  };
+}
+
+function bool({ optional = false } = {}) {
+  return (v, field) => {
+    if (v === undefined || v === null) return optional ? { value: undefined } : fail(field, 'is required');
+    return typeof v === 'boolean' ? { value: v } : fail(field, 'must be true or false');
+  };
+}
+
+function oneOf(values, { optional = false } = {}) {
+  return (v, field) => {
+    if (v === undefined || v === null || v === '') {
+      return optional ? { value: undefined } : fail(field, 'is required');
+    }
+    return values.includes(v) ? { value: v } : fail(field, `must be one of ${values.join(', ')}`);
+  };
+}
+
+function arrayOf(rule, { max = 50, optional = false } = {}) {
+  return (v, field) => {
+    if (v === undefined || v === null) return optional ? { value: undefined } : fail(field, 'is required');
+    if (!Array.isArray(v)) return fail(field, 'must be a list');
+    if (v.length > max) return fail(field, `must have at most ${max} entries`);
+    const value = [];
+    for (let i = 0; i < v.length; i++) {
+      const r = rule(v[i], `${field}[${i}]`);
+      if (r.error) return r;
+      value.push(r.value);
+    }
+    return { value };
+  };
+}
+
+// Anything JSON-shaped; the handler cleans it further (e.g. puzzle entries)
+function any() {
+  return (v) => ({ value: v });
+}
+
+function validate(schema, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'payload must be an object' };
+  }
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const r = rule(payload[field], field);
+    if (r.error) return r;
+    if (r.value !== undefined) value[field] = r.value;
+  }
+  return { value };
+}
+
+// ─── Common Fields ───
+const roomCode = str({ pattern: /^[A-Z0-9]{4,8}$/, upper: true });
+const hostToken = str({ max: 64 });
+const sessionId = str({ max: 64, optional: true });
+const shortId = str({ max: 16, pattern: /^[\w-]+$/ });
+
+module.exports = { ERRORS, validate, str, int, bool, oneOf, arrayOf, any, roomCode, hostToken, sessionId, shortId };
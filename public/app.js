@@ -11,7 +11,19 @@
     let totalTime = 30;         // seconds per round
     let serverOffset = 0;       // server-client time difference
     let roundEndAt = null;      // local timestamp when round should end
+    let paused = false;         // host has paused the round or results screen
+    let lastRoundEnd = null;    // latest round-end payload, for the results countdown
+    let teamState = { teamMode: false, teams: [] };
+    let myTeamId = null;
+    let hintCosts = [];         // cost to buy each hint of the current puzzle early (null = not for sale)
+    let hintsSeen = 0;          // hints of the current puzzle shown to this player
+    let myAvatar = localStorage.getItem('rebus_avatar');
+    let myColor = localStorage.getItem('rebus_color');
     let currentView = 'join';
+    let challenge = null;       // window, standings and progress while the room runs a challenge
+    let challengeOffset = 0;    // server clock minus ours, for the challenge countdown
+    let challengeInterval = null;
+    let profile = JSON.parse(localStorage.getItem('rebus_profile') || 'null'); // { username, token } once signed in on profile.html
 
     if (!roomCode) {
         window.location.href = 'index.html';
@@ -32,7 +44,7 @@
     }
 
     // ─── View Management ───
-    const views = ['joinView', 'lobbyView', 'playView', 'roundResultView', 'gameOverView'];
+    const views = ['joinView', 'lobbyView', 'challengeView', 'playView', 'roundResultView', 'gameOverView'];
     function showView(id) {
         views.forEach(v => document.getElementById(v).style.display = 'none');
         document.getElementById(id).style.display = 'flex';
@@ -48,6 +60,9 @@
 
             document.getElementById('roomInfo').textContent =
                 `Room ${roomCode} • ${data.playerCount} player${data.playerCount !== 1 ? 's' : ''} online`;
+            renderAppearancePicker(data.avatars || [], data.colors || [], data.takenAvatars || []);
+
+            renderProfileStatus();
 
             // Auto-rejoin if session exists
             if (sessionId) {
@@ -70,12 +85,43 @@
             console.log('Connected to server');
         });
 
-        socket.on('error-msg', ({ message }) => {
+        socket.on('error-msg', ({ code, message, retryAfter, suggestions }) => {
+            // Throttled guesses are shown inline rather than as a popup
+            if (code === 'GUESS_COOLDOWN' || code === 'RATE_LIMITED') {
+                showGuessCooldown(message, retryAfter || 1000);
+                return;
+            }
+            if (code === 'NAME_TAKEN') {
+                showNameSuggestions(message, suggestions || []);
+                return;
+            }
+            alert(message);
+        });
+
+        // Removed by the host: forget the session so we don't rejoin on reload
+        socket.on('kicked', ({ message }) => {
+            localStorage.removeItem('rebus_session_' + roomCode);
+            socket.disconnect();
             alert(message);
+            window.location.href = 'index.html';
+        });
+
+        // ...or the room was closed from the admin console
+        socket.on('room-closed', ({ message }) => {
+            localStorage.removeItem('rebus_session_' + roomCode);
+            socket.disconnect();
+            alert(message);
+            window.location.href = 'index.html';
+        });
+
+        socket.on('announcement', ({ message }) => {
+            showAnnouncement(message);
         });
 
         socket.on('joined', (data) => {
             playerId = data.playerId;
+            // A restored session keeps the name it joined with
+            localStorage.setItem('rebus_name_' + roomCode, data.playerName);
             if (data.sessionId) {
                 sessionId = data.sessionId;
                 localStorage.setItem('rebus_session_' + roomCode, data.sessionId);
@@ -83,11 +129,22 @@
             if (data.restored) {
                 console.log('Session restored! Score:', data.score);
             }
+            // The server didn't accept our sign-in token; it was revoked or has expired
+            if (profile && !data.profile) {
+                profile = null;
+                localStorage.removeItem('rebus_profile');
+            }
+            teamState = { teamMode: data.teamMode, teamScoring: data.teamScoring, teams: data.teams || [] };
+            myTeamId = data.teamId;
+            renderTeamPicker();
             if (data.state === 'lobby' || data.state === 'setup') {
                 showView('lobbyView');
                 document.getElementById('lobbyCode').textContent = roomCode;
             } else if (data.state === 'playing') {
                 showView('playView');
+            } else if (data.state === 'challenge') {
+                // challenge-update follows, then the puzzle if a run is under way
+                showView('challengeView');
             } else if (data.state === 'finished') {
                 showView('lobbyView');
             }
@@ -103,17 +160,51 @@
             renderPlayerList(players);
         });
 
+        socket.on('player-updated', ({ players }) => {
+            renderPlayerList(players);
+        });
+
+        // The host changed our name; remember it for the next visit
+        socket.on('renamed', ({ playerName }) => {
+            localStorage.setItem('rebus_name_' + roomCode, playerName);
+            document.getElementById('playerNameInput').value = playerName;
+            showNotice(`✏️ The host renamed you to ${playerName}`);
+        });
+
+        socket.on('teams-update', (data) => {
+            teamState = data;
+            const me = data.players.find(p => p.id === playerId);
+            myTeamId = me ? me.teamId : null;
+            renderTeamPicker();
+            renderPlayerList(data.players);
+        });
+
+        socket.on('team-leaderboard-update', (teamLeaderboard) => {
+            renderMiniTeams(teamLeaderboard);
+        });
+
         socket.on('new-round', (data) => {
             showView('playView');
             startPlayRound(data);
         });
 
-        socket.on('hint', ({ level, text }) => {
-            const hintArea = document.getElementById('hintArea');
-            hintArea.style.display = 'flex';
-            document.getElementById('hintText').textContent = text;
-            hintArea.classList.add('hint-pop');
-            setTimeout(() => hintArea.classList.remove('hint-pop'), 500);
+        socket.on('round-timer', (data) => {
+            if (data.phase === 'intermission') {
+                if (lastRoundEnd) setNextRoundText(lastRoundEnd.isLastRound, data.remainingTime, data.paused);
+                return;
+            }
+            totalTime = data.timePerRound;
+            roundEndAt = Date.now() + (data.remainingTime * 1000);
+            setPaused(data.paused);
+        });
+
+        socket.on('round-skipped', ({ roundNum }) => {
+            showNotice(`⏭ Round ${roundNum} was skipped by the host`);
+        });
+
+        socket.on('hint', (hint) => {
+            addHint(hint);
+            if (hint.cost) showNotice(`💡 −${hint.cost} points off your score for this puzzle`);
         });
 
         socket.on('guess-result', (data) => {
@@ -129,7 +220,15 @@
         });
 
         socket.on('leaderboard-update', (leaderboard) => {
-            renderMiniLeaderboard(leaderboard);
+            // A challenge ranks completed runs, which come with challenge-update instead
+            if (!challenge) renderMiniLeaderboard(leaderboard);
+        });
+
+        socket.on('challenge-update', (data) => {
+            challenge = data;
+            challengeOffset = data.serverTime - Date.now();
+            if (currentView === 'lobbyView' || currentView === 'gameOverView') showView('challengeView');
+            renderChallenge();
         });
 
         socket.on('round-end', (data) => {
@@ -137,8 +236,23 @@
         });
 
         socket.on('game-over', (data) => {
+            stopChallengeClock();
+            challenge = null;
             showGameOver(data);
         });
+
+        // The host started another game in this room; scores are back to zero
+        socket.on('back-to-lobby', ({ playerCount, players, gamesPlayed }) => {
+            stopTimer();
+            stopChallengeClock();
+            challenge = null;
+            lastRoundEnd = null;
+            showView('lobbyView');
+            document.getElementById('lobbyCode').textContent = roomCode;
+            document.getElementById('playerCount').textContent = playerCount;
+            renderPlayerList(players);
+            showNotice(`🔁 Game ${gamesPlayed + 1} is about to start — match totals carry over!`);
+        });
     }
 
     // ─── Join ───
@@ -154,25 +268,249 @@
 
         if (!socket) connectSocket();
 
-        socket.emit('join-room', { roomCode, playerName: name, sessionId });
+        socket.emit('join-room', {
+            roomCode,
+            playerName: name,
+            sessionId,
+            avatar: myAvatar,
+            color: myColor,
+            profileToken: profile ? profile.token : undefined
+        });
+    }
+
+    function renderAppearancePicker(avatars, colors, takenAvatars) {
+        if (!avatars.includes(myAvatar)) myAvatar = avatars.find(a => !takenAvatars.includes(a)) || avatars[0];
+        if (!colors.includes(myColor)) myColor = colors[Math.floor(Math.random() * colors.length)];
+
+        const avatarPicker = document.getElementById('avatarPicker');
+        avatarPicker.innerHTML = avatars.map(a => `
+      <button class="avatar-option ${a === myAvatar ? 'selected' : ''} ${takenAvatars.includes(a) ? 'taken' : ''}" data-avatar="${a}">${a}</button>
+    `).join('');
+        avatarPicker.querySelectorAll('.avatar-option').forEach(btn => {
+            btn.addEventListener('click', () => {
+                myAvatar = btn.dataset.avatar;
+                localStorage.setItem('rebus_avatar', myAvatar);
+                renderAppearancePicker(avatars, colors, takenAvatars);
+            });
+        });
+
+        const colorPicker = document.getElementById('colorPicker');
+        colorPicker.innerHTML = colors.map(c => `
+      <button class="color-option ${c === myColor ? 'selected' : ''}" data-color="${c}" style="background:${c}" aria-label="${c}"></button>
+    `).join('');
+        colorPicker.querySelectorAll('.color-option').forEach(btn => {
+            btn.addEventListener('click', () => {
+                myColor = btn.dataset.color;
+                localStorage.setItem('rebus_color', myColor);
+                renderAppearancePicker(avatars, colors, takenAvatars);
+            });
+        });
+    }
+
+    // Name already in use: offer free variants the player can take with one click
+    function showNameSuggestions(message, suggestions) {
+        const box = document.getElementById('nameSuggestions');
+        box.style.display = 'flex';
+        box.innerHTML = `<span>${escapeHtml(message)}. Try:</span>` + suggestions.map(n => `
+      <button class="name-suggestion" data-name="${escapeHtml(n)}">${escapeHtml(n)}</button>
+    `).join('');
+        box.querySelectorAll('.name-suggestion').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.getElementById('playerNameInput').value = btn.dataset.name;
+                box.style.display = 'none';
+                joinGame();
+            });
+        });
+    }
+
+    // ─── Challenge ───
+    // Everyone plays the same puzzles at their own pace while the window is open;
+    // the server keeps each player's clock, so leaving mid-puzzle doesn't stop it.
+    document.getElementById('challengeNextBtn').addEventListener('click', nextChallengePuzzle);
+    document.getElementById('nextPuzzleBtn').addEventListener('click', () => {
+        if (lastRoundEnd && lastRoundEnd.isLastRound) {
+            showView('challengeView');
+            renderChallenge();
+        } else {
+            nextChallengePuzzle();
+        }
+    });
+
+    function nextChallengePuzzle() {
+        socket.emit('challenge-next', { roomCode });
+    }
+
+    function myRun() {
+        return challenge && challenge.progress.find(p => p.id === playerId);
+    }
+
+    function renderChallenge() {
+        if (!challenge) return;
+        const run = myRun() || { phase: 'ready', played: 0 };
+        const total = challenge.totalRounds;
+        document.getElementById('challengeInfo').textContent =
+            `${total} puzzle${total !== 1 ? 's' : ''} • ${challenge.timePerRound}s each • play whenever you like until it closes`;
+
+        const btn = document.getElementById('challengeNextBtn');
+        const done = run.phase === 'done';
+        btn.style.display = done ? 'none' : '';
+        btn.disabled = !challenge.open;
+        btn.textContent = run.phase === 'ready'
+            ? '▶ Start the challenge'
+            : run.phase === 'round'
+                ? `▶ Back to puzzle ${run.played + 1}`
+                : `▶ Puzzle ${run.played + 1} of ${total}`;
+
+        const doneEl = document.getElementById('challengeDone');
+        const ranked = challenge.leaderboard.findIndex(p => p.id === playerId);
+        doneEl.style.display = done ? 'block' : 'none';
+        if (done && ranked !== -1) {
+            const me = challenge.leaderboard[ranked];
+            doneEl.textContent = `🏁 You finished #${ranked + 1} so far with ${me.score} pts (${me.solved}/${total} solved in ${me.seconds}s)`;
+        }
+
+        const lb = document.getElementById('challengeLeaderboard');
+        lb.innerHTML = '<h3>🏆 Finished runs</h3>' + (challenge.leaderboard.length
+            ? challenge.leaderboard.map((p, i) => `
+        <div class="final-lb-row ${p.id === playerId ? 'is-me' : ''}">
+          <span class="lb-rank">#${i + 1}</span>
+          <span class="lb-name">${avatarHtml(p)}${escapeHtml(p.name)} <small>${p.solved}/${total} • ${p.seconds}s</small></span>
+          <span class="lb-score">${p.score} pts</span>
+        </div>
+      `).join('')
+            : '<p class="waiting-text">Nobody has finished yet — be the first!</p>');
+
+        document.getElementById('challengeProgress').innerHTML = challenge.progress.map(p => `
+        <div class="player-tag ${p.online ? '' : 'offline'} ${p.id === playerId ? 'is-me' : ''}">
+          ${avatarHtml(p)}
+          ${escapeHtml(p.name)} <small>${p.phase === 'done' ? '🏁' : `${p.played}/${total}`}</small>
+        </div>
+      `).join('');
+
+        renderMiniLeaderboard(challenge.leaderboard);
+        startChallengeClock();
+    }
+
+    function startChallengeClock() {
+        stopChallengeClock();
+        updateChallengeClock();
+        challengeInterval = setInterval(updateChallengeClock, 1000);
+    }
+
+    function stopChallengeClock() {
+        if (challengeInterval) {
+            clearInterval(challengeInterval);
+            challengeInterval = null;
+        }
+    }
+
+    function updateChallengeClock() {
+        const now = Date.now() + challengeOffset;
+        const el = document.getElementById('challengeClock');
+        if (now < challenge.opensAt) {
+            el.textContent = `⏳ Opens in ${formatDuration(challenge.opensAt - now)}`;
+        } else {
+            el.textContent = `⏰ Closes in ${formatDuration(challenge.closesAt - now)}`;
+        }
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.max(0, Math.ceil(ms / 60000));
+        const hours = Math.floor(minutes / 60);
+        if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return minutes > 1 ? `${minutes}m` : `${Math.max(0, Math.ceil(ms / 1000))}s`;
     }
 
     // ─── Players List ───
+    // Keyed by playerId: only tags whose player changed are rebuilt
     function renderPlayerList(players) {
         const list = document.getElementById('playerList');
-        list.innerHTML = players.map(p => `
-      <div class="player-tag ${p.online ? '' : 'offline'}">
+        const ids = new Set(players.map(p => p.id));
+        list.querySelectorAll('.player-tag').forEach(el => {
+            if (!ids.has(el.dataset.playerId)) el.remove();
+        });
+        players.forEach((p, i) => {
+            const html = playerTagHtml(p);
+            let el = list.querySelector(`.player-tag[data-player-id="${p.id}"]`);
+            if (!el || el.renderedHtml !== html) {
+                const tmp = document.createElement('div');
+                tmp.innerHTML = html;
+                const fresh = tmp.firstElementChild;
+                fresh.renderedHtml = html;
+                if (el) el.replaceWith(fresh);
+                el = fresh;
+            }
+            if (list.children[i] !== el) list.insertBefore(el, list.children[i] || null);
+        });
+    }
+
+    function playerTagHtml(p) {
+        return `<div class="player-tag ${p.online ? '' : 'offline'} ${p.id === playerId ? 'is-me' : ''}" data-player-id="${p.id}" ${teamStyle(p.teamId)}>
         <span class="player-dot ${p.online ? 'online' : 'offline'}"></span>
+        ${avatarHtml(p)}
         ${escapeHtml(p.name)}
-      </div>
+      </div>`;
+    }
+
+    function avatarHtml(p) {
+        return p.avatar ? `<span class="player-avatar" style="background:${p.color}">${p.avatar}</span>` : '';
+    }
+
+    // ─── Teams ───
+    function teamById(teamId) {
+        return teamState.teams.find(t => t.id === teamId);
+    }
+
+    function teamStyle(teamId) {
+        const team = teamById(teamId);
+        return team ? `style="border-color:${team.color}"` : '';
+    }
+
+    function renderTeamPicker() {
+        const picker = document.getElementById('teamPicker');
+        picker.style.display = teamState.teamMode ? 'flex' : 'none';
+        picker.innerHTML = teamState.teams.map(t => `
+      <button class="team-option ${t.id === myTeamId ? 'selected' : ''}" data-team="${t.id}" style="--team-color:${t.color}">
+        ${escapeHtml(t.name)}
+      </button>
     `).join('');
+        picker.querySelectorAll('.team-option').forEach(btn => {
+            btn.addEventListener('click', () => socket.emit('choose-team', { roomCode, teamId: btn.dataset.team }));
+        });
+    }
+
+    function renderMiniTeams(teamLeaderboard) {
+        document.getElementById('miniTeamSection').style.display = teamLeaderboard.length ? 'block' : 'none';
+        document.getElementById('miniTeamList').innerHTML = teamLeaderboard.map((t, i) => `
+        <div class="mini-lb-row ${t.id === myTeamId ? 'is-me' : ''}" style="border-left: 3px solid ${t.color}">
+          <span class="lb-rank">#${i + 1}</span>
+          <span class="lb-name">${escapeHtml(t.name)}</span>
+          <span class="lb-score">${t.score}</span>
+        </div>
+      `).join('');
+    }
+
+    // Image and layout puzzles show as a picture; text and emoji ones are laid out as text
+    function showPuzzle(data) {
+        const img = document.getElementById('puzzleImage');
+        const text = document.getElementById('puzzleText');
+        const isText = data.type === 'text' || data.type === 'emoji';
+        img.style.display = isText ? 'none' : '';
+        text.style.display = isText ? '' : 'none';
+        if (isText) {
+            text.className = `puzzle-text ${data.type}`;
+            text.textContent = data.content;
+        } else {
+            img.src = data.type === 'layout' ? 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(data.svg) : data.image;
+        }
     }
 
     // ─── Play Round ───
     function startPlayRound(data) {
         document.getElementById('currentRound').textContent = data.roundNum;
         document.getElementById('totalRounds').textContent = data.totalRounds;
-        document.getElementById('puzzleImage').src = data.image;
+        showPuzzle(data);
 
         totalTime = data.timePerRound;
 
@@ -190,7 +528,11 @@
         // Reset UI
         document.getElementById('guessSection').style.display = 'block';
         document.getElementById('answeredSection').style.display = 'none';
-        document.getElementById('hintArea').style.display = 'none';
+        document.getElementById('hintStack').innerHTML = '';
+        hintCosts = data.hintCosts || [];
+        hintsSeen = 0;
+        (data.hints || []).forEach(addHint);
+        updateHintButton();
         document.getElementById('guessFeedback').textContent = '';
         document.getElementById('guessInput').value = '';
         document.getElementById('guessInput').disabled = false;
@@ -198,7 +540,21 @@
         document.getElementById('guessInput').focus();
 
         // Start timer using absolute end time (no drift)
-        startTimer();
+        setPaused(!!data.paused);
+    }
+
+    function setPaused(isPaused) {
+        paused = isPaused;
+        document.getElementById('pausedBanner').style.display = paused ? 'flex' : 'none';
+        document.getElementById('guessInput').disabled = paused;
+        document.getElementById('submitGuessBtn').disabled = paused;
+        document.getElementById('requestHintBtn').disabled = paused;
+        if (paused) {
+            stopTimer();
+            updateTimerUI();
+        } else {
+            startTimer();
+        }
     }
 
     function startTimer() {
@@ -232,6 +588,34 @@
         document.getElementById('timerText').textContent = Math.ceil(remaining) + 's';
     }
 
+    // ─── Hints ───
+    document.getElementById('requestHintBtn').addEventListener('click', () => {
+        socket.emit('request-hint', { roomCode });
+    });
+
+    // Hints arrive in order but may repeat (a bought hint is later revealed to everyone)
+    function addHint({ level, total, text }) {
+        const stack = document.getElementById('hintStack');
+        if (stack.querySelector(`[data-level="${level}"]`)) return;
+        const row = document.createElement('div');
+        row.className = 'hint-area hint-pop';
+        row.dataset.level = level;
+        row.innerHTML = `<div class="hint-badge">💡 Hint ${level}/${total}</div><span></span>`;
+        row.querySelector('span').textContent = text;
+        stack.appendChild(row);
+        setTimeout(() => row.classList.remove('hint-pop'), 500);
+        hintsSeen = Math.max(hintsSeen, level);
+        updateHintButton();
+    }
+
+    function updateHintButton() {
+        const btn = document.getElementById('requestHintBtn');
+        const cost = hintCosts[hintsSeen];
+        const answered = document.getElementById('guessSection').style.display === 'none';
+        btn.style.display = hintsSeen < hintCosts.length && cost !== null && !answered ? 'inline-flex' : 'none';
+        btn.textContent = cost ? `💡 Get next hint now (−${cost} pts)` : '💡 Get next hint now';
+    }
+
     // ─── Guessing ───
     document.getElementById('submitGuessBtn').addEventListener('click', submitGuess);
     document.getElementById('guessInput').addEventListener('keydown', (e) => {
@@ -241,7 +625,7 @@
     function submitGuess() {
         const input = document.getElementById('guessInput');
         const guess = input.value.trim();
-        if (!guess) return;
+        if (!guess || document.getElementById('submitGuessBtn').disabled) return;
         socket.emit('submit-guess', { roomCode, guess });
         input.value = '';
         input.focus();
@@ -251,36 +635,85 @@
         const feedback = document.getElementById('guessFeedback');
 
         if (data.match === 'correct') {
-            showAnswered(data.score);
+            showAnswered(data.score, data.breakdown);
             feedback.className = 'guess-feedback correct';
             feedback.textContent = `✅ Correct! +${data.score} points`;
         } else if (data.match === 'partial') {
-            showAnswered(data.score);
+            showAnswered(data.score, data.breakdown);
             feedback.className = 'guess-feedback partial';
             feedback.textContent = `🔶 Close! +${data.score} points (partial credit)`;
         } else {
             feedback.className = 'guess-feedback wrong';
-            feedback.textContent = '❌ Wrong! Try again...';
+            feedback.textContent = data.penalty
+                ? `❌ Wrong! −${data.penalty} points`
+                : '❌ Wrong! Try again...';
             setTimeout(() => feedback.textContent = '', 2000);
+            if (data.cooldown) lockGuessing(data.cooldown);
         }
     }
 
-    function showAnswered(score) {
+    function showGuessCooldown(message, ms) {
+        const feedback = document.getElementById('guessFeedback');
+        feedback.className = 'guess-feedback wrong';
+        feedback.textContent = `⏳ ${message}`;
+        setTimeout(() => feedback.textContent = '', 2000);
+        lockGuessing(ms);
+    }
+
+    // Briefly disable the submit button after a miss (the server enforces the same cooldown)
+    function lockGuessing(ms) {
+        const btn = document.getElementById('submitGuessBtn');
+        btn.disabled = true;
+        setTimeout(() => { btn.disabled = paused; }, ms);
+    }
+
+    function showAnswered(score, breakdown) {
         document.getElementById('guessSection').style.display = 'none';
         document.getElementById('answeredSection').style.display = 'flex';
         document.getElementById('earnedScore').textContent = score;
+        document.getElementById('earnedBreakdown').textContent = breakdown ? describeBreakdown(breakdown) : '';
+        updateHintButton();
         stopTimer();
     }
 
+    // e.g. "820 base · 🥇 +100 first solver · 🔥 ×1.2 streak +164"
+    function describeBreakdown(b) {
+        const parts = [];
+        if (b.base) parts.push(`${b.base} base`);
+        if (b.firstBonus) parts.push(`🥇 +${b.firstBonus} first solver`);
+        if (b.ordinalBonus) parts.push(`🏅 +${b.ordinalBonus} solve order`);
+        if (b.streakBonus) parts.push(`🔥 ×${b.streakMultiplier.toFixed(1)} streak +${b.streakBonus}`);
+        if (b.penalty) parts.push(`❌ ${b.penalty} wrong guesses`);
+        if (b.hintCost && b.total != null) parts.push(`💡 ${b.hintCost} hints`);
+        return parts.join(' · ');
+    }
+
     function showGuessNotification(playerName, match) {
         const icon = match === 'correct' ? '✅' : '🔶';
+        // Muted players' guesses come through without a name
+        showNotice(`${icon} ${playerName || 'Someone'} guessed ${match === 'correct' ? 'correctly' : 'partially'}!`);
+    }
+
+    function showNotice(text) {
         const notif = document.createElement('div');
         notif.className = 'guess-notif';
-        notif.textContent = `${icon} ${playerName} guessed ${match === 'correct' ? 'correctly' : 'partially'}!`;
+        notif.textContent = text;
         document.body.appendChild(notif);
         setTimeout(() => notif.remove(), 3000);
     }
 
+    // Messages from the admin console stay up until dismissed; a new one replaces the last
+    function showAnnouncement(message) {
+        const old = document.querySelector('.announcement-banner');
+        if (old) old.remove();
+        const banner = document.createElement('div');
+        banner.className = 'announcement-banner';
+        banner.innerHTML = '<span>📢</span><span class="announcement-text"></span><button class="announcement-close" aria-label="Dismiss">✕</button>';
+        banner.querySelector('.announcement-text').textContent = message;
+        banner.querySelector('.announcement-close').addEventListener('click', () => banner.remove());
+        document.body.appendChild(banner);
+    }
+
     // ─── Mini Leaderboard ───
     function renderMiniLeaderboard(leaderboard) {
         const list = document.getElementById('miniLbList');
@@ -291,7 +724,7 @@
             return `
         <div class="mini-lb-row ${isMe ? 'is-me' : ''} ${p.guessedThisRound ? 'guessed' : ''}">
           <span class="lb-rank">${medal}</span>
-          <span class="lb-name">${escapeHtml(p.name)}${!p.online ? ' 💤' : ''}</span>
+          <span class="lb-name">${avatarHtml(p)}${escapeHtml(p.name)}${!p.online ? ' 💤' : ''}</span>
           <span class="lb-score">${p.score}</span>
         </div>
       `;
@@ -301,10 +734,23 @@
     // ─── Round Results ───
     function showRoundResults(data) {
         stopTimer();
+        lastRoundEnd = data;
+        // Fetch the next puzzle now so it's cached when the round starts
+        if (data.nextImage) new Image().src = data.nextImage;
+        if (data.teamLeaderboard) renderMiniTeams(data.teamLeaderboard);
         showView('roundResultView');
         document.getElementById('resultRound').textContent = data.roundNum;
         document.getElementById('correctAnswerText').textContent = data.correctAnswer;
 
+        document.getElementById('resultLeaderboard').style.display = data.leaderboard.length ? '' : 'none';
+
+        // Players who only guessed wrong have a penalty but no total
+        const mine = data.roundScores && data.roundScores[playerId];
+        const net = mine ? (mine.total != null ? mine.total : mine.penalty) : 0;
+        document.getElementById('roundBreakdown').textContent = mine
+            ? `Your round: ${net >= 0 ? '+' : ''}${net} pts — ${describeBreakdown(mine)}`
+            : '';
+
         const lb = document.getElementById('resultLeaderboard');
         lb.innerHTML = data.leaderboard.slice(0, 10).map((p, i) => {
             const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
@@ -312,15 +758,26 @@
             return `
         <div class="result-lb-row ${isMe ? 'is-me' : ''}">
           <span class="lb-rank">${medal}</span>
-          <span class="lb-name">${escapeHtml(p.name)}</span>
+          <span class="lb-name">${avatarHtml(p)}${escapeHtml(p.name)}</span>
           <span class="lb-score">${p.score} pts</span>
         </div>
       `;
         }).join('');
 
-        const nextText = data.isLastRound
-            ? 'Final results coming...'
-            : `Next round starting in ${data.nextRoundIn || 5} seconds...`;
+        // Self-paced: the next puzzle waits until the player asks for it
+        const nextBtn = document.getElementById('nextPuzzleBtn');
+        nextBtn.style.display = data.selfPaced ? '' : 'none';
+        document.getElementById('nextRoundText').style.display = data.selfPaced ? 'none' : '';
+        nextBtn.textContent = data.isLastRound ? '🏁 See how you did' : 'Next puzzle →';
+        if (!data.selfPaced) setNextRoundText(data.isLastRound, data.nextRoundIn, data.paused);
+    }
+
+    function setNextRoundText(isLastRound, seconds, isPaused) {
+        const nextText = isPaused
+            ? '⏸ Paused by the host...'
+            : isLastRound
+                ? 'Final results coming...'
+                : `Next round starting in ${Math.ceil(seconds)} seconds...`;
         document.getElementById('nextRoundText').textContent = nextText;
     }
 
@@ -332,6 +789,21 @@
 
         const lb = data.leaderboard;
 
+        // Team standings
+        const teamsEl = document.getElementById('teamStandings');
+        const teamLb = data.teamLeaderboard || [];
+        teamsEl.style.display = teamLb.length ? 'block' : 'none';
+        teamsEl.innerHTML = '<h3>Team Standings</h3>' + teamLb.map((t, i) => {
+            const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
+            return `
+        <div class="final-lb-row ${t.id === myTeamId ? 'is-me' : ''}" style="border-left: 3px solid ${t.color}">
+          <span class="lb-rank">${medal}</span>
+          <span class="lb-name">${escapeHtml(t.name)} <small>(${t.members})</small></span>
+          <span class="lb-score">${t.score} pts</span>
+        </div>
+      `;
+        }).join('');
+
         // Podium
         const podium = document.getElementById('podiumSection');
         const top3 = lb.slice(0, 3);
@@ -362,11 +834,74 @@
             return `
         <div class="final-lb-row ${isMe ? 'is-me' : ''}">
           <span class="lb-rank">#${i + 1}</span>
-          <span class="lb-name">${escapeHtml(p.name)}${!p.online ? ' 💤' : ''}</span>
+          <span class="lb-name">${avatarHtml(p)}${escapeHtml(p.name)}${!p.online ? ' 💤' : ''}</span>
           <span class="lb-score">${p.score} pts</span>
         </div>
       `;
         }).join('');
+
+        renderMatchStandings(data);
+        renderProfileSummary();
+    }
+
+    // Totals across every game played in this room, once there's been more than one
+    function renderMatchStandings({ gamesPlayed, matchLeaderboard }) {
+        const el = document.getElementById('matchStandings');
+        el.style.display = gamesPlayed > 1 ? 'block' : 'none';
+        if (gamesPlayed <= 1) return;
+        el.innerHTML = `<h3>Match Totals — ${gamesPlayed} games</h3>` + matchLeaderboard.map((p, i) => `
+        <div class="final-lb-row ${p.id === playerId ? 'is-me' : ''}">
+          <span class="lb-rank">#${i + 1}</span>
+          <span class="lb-name">${avatarHtml(p)}${escapeHtml(p.name)}</span>
+          <span class="lb-score">${p.matchTotal} pts</span>
+        </div>
+      `).join('');
+    }
+
+    // ─── Profile ───
+    // Signing in is optional; a signed-in player's games add up on their profile
+    function profileLink(text) {
+        const back = encodeURIComponent(window.location.pathname + window.location.search);
+        return `<a href="profile.html?return=${back}">${text}</a>`;
+    }
+
+    function renderProfileStatus() {
+        document.getElementById('profileStatus').innerHTML = profile
+            ? `Playing as <a href="profile.html">${escapeHtml(profile.username)}</a> — this game counts towards your stats`
+            : `${profileLink('Sign in')} to keep your stats across games`;
+    }
+
+    // endGame records the stats before game-over goes out, so they're already up to date
+    async function renderProfileSummary() {
+        const el = document.getElementById('profileSummary');
+        if (!profile) {
+            el.style.display = 'block';
+            el.innerHTML = `<p class="profile-status">${profileLink('Sign in or create a profile')} to keep your stats from game to game.</p>`;
+            return;
+        }
+        try {
+            const res = await fetch('/api/profiles/me', { headers: { 'X-Profile-Token': profile.token } });
+            if (!res.ok) throw new Error('Not signed in');
+            const { username, stats } = await res.json();
+            el.style.display = 'block';
+            el.innerHTML = `<h3>👤 ${escapeHtml(username)}</h3>
+        <div class="profile-stats">
+          ${[
+                [stats.gamesPlayed, 'Games played'],
+                [stats.wins, 'Wins'],
+                [stats.totalPoints, 'Total points'],
+                [stats.averageSolveSeconds != null ? stats.averageSolveSeconds + 's' : '—', 'Average solve'],
+                [stats.bestStreak, 'Best streak']
+            ].map(([value, label]) => `
+          <div class="profile-stat">
+            <div class="profile-stat-value">${value}</div>
+            <div class="profile-stat-label">${label}</div>
+          </div>`).join('')}
+        </div>
+        <p class="profile-status"><a href="profile.html">See your profile →</a></p>`;
+        } catch (err) {
+            el.style.display = 'none';
+        }
     }
 
     // ─── Confetti ───
@@ -1,27 +1,233 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const crypto = require('crypto');
+const proxyaddr = require('proxy-addr');
+const { createPuzzleLibrary, cleanPuzzle } = require('./lib/puzzle-library');
+const { createRoomStore } = require('./lib/room-store');
+const { createLeaseStore } = require('./lib/room-leases');
+const { SCORING_PRESETS, getScoringRules, scoreAnswer } = require('./lib/scoring');
+const teams = require('./lib/teams');
+const { buildHints } = require('./lib/hints');
+const { createResultsStore, resultsToCsv } = require('./lib/results');
+const { roundStats } = require('./lib/analytics');
+const { ERRORS, validate, str, int, bool, oneOf, arrayOf, any, roomCode: roomCodeField, hostToken: hostTokenField, sessionId: sessionIdField, shortId } = require('./lib/validation');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { detectCheating } = require('./lib/anti-cheat');
+const { createProfanityFilter, loadWordList, DEFAULT_WORDS } = require('./lib/profanity');
+const { AVATARS, PLAYER_COLORS, MAX_NAME_LENGTH, isNameTaken, suggestNames, pickAppearance } = require('./lib/identity');
+const { createBlobStore } = require('./lib/blob-store');
+const { processImage } = require('./lib/images');
+const { hasContent, renderLayoutSvg, cleanLayoutItem } = require('./lib/puzzle-types');
+const { readPuzzleArchive, writePuzzleArchive } = require('./lib/puzzle-archive');
+const { PLAY_ORDERS, buildPlayOrder } = require('./lib/play-order');
+const { MAX_WINDOW_HOURS, MAX_OPENS_IN_MINUTES, createChallenge, isOpen: isChallengeOpen, createRun, runSeconds, runSolved, rankRuns, runProgress } = require('./lib/challenge');
+const { createLogger } = require('./lib/logger');
+const { createMetrics, mergeSnapshots, formatMetrics } = require('./lib/metrics');
+const { createSettingsStore } = require('./lib/settings-store');
+const profiles = require('./lib/profiles');
+
+// JSON lines on stdout/stderr, see lib/logger.js
+const log = createLogger({ level: process.env.LOG_LEVEL, base: { pid: process.pid } });
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: '*' },
-  maxHttpBufferSize: 10e6, // 10MB for image uploads
   pingTimeout: 30000,
   pingInterval: 10000
 });
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+// SOCKET_ADAPTER=cluster runs this process as one of the workers cluster.js starts:
+// the primary owns the port and keeps each client on one worker, and broadcasts
+// reach sockets on every worker through the cluster adapter
+const clustered = process.env.SOCKET_ADAPTER === 'cluster';
+if (clustered) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 50 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) return cb(null, true);
+    cb(Object.assign(new Error(`${file.originalname} is not an image`), { code: 'UPLOAD_REJECTED' }));
+  }
+});
+
+// Puzzle set archives: one ZIP of images plus a manifest, or a bare CSV/JSON manifest
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|csv|json)$/i.test(file.originalname)) return cb(null, true);
+    cb(Object.assign(new Error(`${file.originalname} is not a ZIP, CSV or JSON file`), { code: 'UPLOAD_REJECTED' }));
+  }
+});
+
+// Behind a reverse proxy (e.g. TRUST_PROXY=1) rate limits key on the forwarded client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
-app.use(express.json());
+app.use(express.json({ limit: '100kb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── In-Memory State ───
 const rooms = new Map();
 
+// ─── Room Persistence ───
+const roomStore = createRoomStore(process.env.ROOM_STORE || 'file', {
+  dir: process.env.ROOM_STORE_DIR || path.join(__dirname, 'data', 'rooms'),
+  log
+});
+
+// Finished games outlive their rooms
+const resultsStore = createResultsStore(process.env.ROOM_STORE || 'file', {
+  dir: process.env.RESULTS_DIR || path.join(__dirname, 'data', 'results')
+});
+
+// Processed puzzle images, served by URL rather than pushed over the socket
+const imageStore = createBlobStore(process.env.IMAGE_STORE || process.env.ROOM_STORE || 'file', {
+  dir: process.env.IMAGE_DIR || path.join(__dirname, 'data', 'images')
+});
+
+// Which process owns each room; processes sharing the stores above share this too.
+// A single process owns every room, so it needs nothing shared.
+const NODE_ID = uuidv4();
+const leases = createLeaseStore(process.env.LEASE_STORE || (clustered ? 'file' : 'memory'), {
+  dir: process.env.LEASE_DIR || path.join(__dirname, 'data', 'leases')
+});
+if (clustered && [process.env.ROOM_STORE, process.env.IMAGE_STORE, process.env.LEASE_STORE].includes('memory')) {
+  throw new Error('Clustered workers need shared stores; ROOM_STORE, IMAGE_STORE and LEASE_STORE can\'t be "memory"');
+}
+
+// Player accounts and their stats, shared by every room
+const profileStore = profiles.createProfileStore(process.env.ROOM_STORE || 'file', {
+  dir: process.env.PROFILE_DIR || path.join(__dirname, 'data', 'profiles')
+});
+
+// Settings the admin console can change while running; saved ones win over the env
+const settingsStore = createSettingsStore(process.env.ROOM_STORE || 'file', {
+  dir: process.env.SETTINGS_DIR || path.join(__dirname, 'data', 'settings')
+});
+let settings = {
+  cleanupMinutes: Number(process.env.ROOM_CLEANUP_MINUTES) || 10, // how long a room may sit empty before it's deleted
+  ...settingsStore.load()
+};
+
+// ─── Metrics ───
+// Served at /metrics; with several workers, the scraped one adds up everyone's.
+// Gauges are read at scrape time, so they cost nothing in between.
+
+const metrics = createMetrics();
+const metric = {
+  guesses: metrics.counter('rebus_guesses_total', 'Guesses submitted, by match result; rate() gives guesses per second'),
+  roundDuration: metrics.histogram('rebus_round_duration_seconds', 'Time from a round starting to its answer being revealed, pauses included',
+    [5, 10, 15, 20, 30, 45, 60, 90, 120, 180, 300, 600]),
+  timerDrift: metrics.histogram('rebus_timer_drift_seconds', 'How late round, hint and intermission timers fired',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]),
+  eventDuration: metrics.histogram('rebus_socket_event_duration_seconds', 'Time to handle a client event, including forwarding it to the room\'s owner',
+    [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]),
+  uploadBytes: metrics.histogram('rebus_upload_bytes', 'Bytes of files received per upload request, by endpoint',
+    [64 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024, 64 * 1024 * 1024])
+};
+metrics.gauge('rebus_rooms', 'Rooms held by this server, by state', () => {
+  const counts = { setup: 0, lobby: 0, playing: 0, finished: 0 };
+  rooms.forEach(room => { counts[room.state] = (counts[room.state] || 0) + 1; });
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge('rebus_connected_sockets', 'Connected Socket.IO clients', () => io.of('/').sockets.size);
+// Puzzle images used to travel as base64 inside room state; they now live in the
+// image store, which holds them in memory when IMAGE_STORE=memory
+metrics.gauge('rebus_puzzle_image_bytes', 'Bytes of processed puzzle images held by the image store',
+  () => imageStore.stats().bytes, { shared: clustered });
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+
+function recordUpload(endpoint, files) {
+  metric.uploadBytes.observe({ endpoint }, (files || []).reduce((sum, f) => sum + f.size, 0));
+}
+
+const NEXT_ROUND_DELAY = 5000;
+const GAME_OVER_DELAY = 3000;
+
+// Timers and socket bindings only make sense for the running process
+function serializeRoom(room) {
+  const { roundTimer, hintTimers, runTimers, hostId, puzzles, loadingPack, ...state } = room;
+  const players = {};
+  Object.values(room.players).forEach(p => {
+    players[p.id] = { ...p, socketId: null, online: false };
+  });
+  return { ...state, players };
+}
+
+function persistRoom(room, { puzzles = false } = {}) {
+  try {
+    if (puzzles) roomStore.savePuzzles(room.code, room.puzzles);
+    roomStore.save(serializeRoom(room));
+  } catch (err) {
+    log.error('room.persist_failed', { roomCode: room.code, err });
+  }
+}
+
+function deleteRoom(roomCode) {
+  const room = rooms.get(roomCode);
+  if (room) clearTimers(room);
+  cancelCleanup(roomCode);
+  rooms.delete(roomCode);
+  forgetRemoteSockets(roomCode);
+  log.info('room.deleted', { roomCode });
+  try {
+    roomStore.remove(roomCode);
+    imageStore.removePrefix(roomCode);
+    leases.release(roomCode, NODE_ID);
+  } catch (err) {
+    log.error('room.delete_failed', { roomCode, err });
+  }
+}
+
+// roomCode → { timer, since } for rooms waiting out settings.cleanupMinutes, so a
+// settings change can move their deadline and repeated disconnects share one timer
+const pendingCleanups = new Map();
+
+// The host's socket may be connected to another process, so ask the adapter
+function scheduleCleanup(roomCode, since = Date.now()) {
+  cancelCleanup(roomCode);
+  const timer = setTimeout(async () => {
+    pendingCleanups.delete(roomCode);
+    const r = rooms.get(roomCode);
+    // A challenge room is meant to sit empty between players; it's checked again when it closes
+    if (!r || r.state === 'challenge' || Object.values(r.players).some(p => p.online)) return;
+    let hostOnline = !!r.hostId;
+    try {
+      if (r.hostId) hostOnline = (await io.in(r.hostId).fetchSockets()).length > 0;
+    } catch (err) {
+      // Some process didn't answer; keep the room for now
+    }
+    if (!hostOnline && rooms.get(roomCode) === r) deleteRoom(roomCode);
+  }, Math.max(0, since + settings.cleanupMinutes * 60 * 1000 - Date.now()));
+  pendingCleanups.set(roomCode, { timer, since });
+}
+
+function cancelCleanup(roomCode) {
+  const pending = pendingCleanups.get(roomCode);
+  if (pending) clearTimeout(pending.timer);
+  pendingCleanups.delete(roomCode);
+}
+
+// Display names are checked against PROFANITY_LIST (one word per line) if set
+const profanity = createProfanityFilter(process.env.PROFANITY_LIST ? loadWordList(process.env.PROFANITY_LIST) : DEFAULT_WORDS);
+
+// ─── Puzzle Library (on disk) ───
+const library = createPuzzleLibrary(process.env.LIBRARY_DIR || path.join(__dirname, 'data', 'library'));
+
 // ─── Helpers ───
 
 function generateRoomCode() {
@@ -50,10 +256,18 @@ function normalize(str) {
   return str.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\b(the|a|an)\b/g, '').replace(/\s+/g, ' ').trim();
 }
 
-function checkGuess(guess, answer) {
-  const g = normalize(guess);
-  const a = normalize(answer);
-  if (!g) return { match: 'wrong', similarity: 0 };
+function sortWords(str) {
+  return str.split(' ').sort().join(' ');
+}
+
+const MATCH_RANK = { wrong: 0, partial: 1, correct: 2 };
+
+// Compare a normalized guess against one normalized accepted answer
+function matchAnswer(g, a, matching) {
+  if (matching === 'word-order') {
+    g = sortWords(g);
+    a = sortWords(a);
+  }
 
   // Exact match
   if (g === a) return { match: 'correct', similarity: 1 };
@@ -63,44 +277,122 @@ function checkGuess(guess, answer) {
   const maxLen = Math.max(g.length, a.length);
   const similarity = 1 - dist / maxLen;
 
+  if (matching === 'exact') return { match: 'wrong', similarity };
+
   // Typo tolerance: distance ≤ 2 for short, ≤ 3 for long
   const threshold = a.length <= 6 ? 2 : 3;
   if (dist <= threshold) return { match: 'correct', similarity };
 
-  // Contains check — if answer is inside guess or vice-versa
-  if (g.includes(a) || a.includes(g)) return { match: 'correct', similarity: 0.9 };
-
   // Partial credit
   if (similarity >= 0.6) return { match: 'partial', similarity };
 
   return { match: 'wrong', similarity };
 }
 
-function calcScore(timeRemaining, totalTime, matchType, similarity) {
-  const timeRatio = timeRemaining / totalTime;
-  let base = Math.round(1000 * timeRatio);
-  base = Math.max(base, 50); // minimum 50 for any correct
+// Best result across the puzzle's primary answer and accepted alternates,
+// unless the guess is one of the puzzle's explicitly rejected near-misses
+function checkGuess(guess, puzzle) {
+  const g = normalize(guess);
+  if (!g) return { match: 'wrong', similarity: 0 };
+
+  const matching = puzzle.matching || 'typo';
+  const rejected = (puzzle.rejected || []).map(normalize);
+  const asRejected = matching === 'word-order' ? sortWords(g) : g;
+  if (rejected.some(r => (matching === 'word-order' ? sortWords(r) : r) === asRejected)) {
+    return { match: 'wrong', similarity: 0 };
+  }
+
+  return [puzzle.answer, ...(puzzle.alternates || [])]
+    .map(answer => matchAnswer(g, normalize(answer), matching))
+    .reduce((best, r) => {
+      const rank = MATCH_RANK[r.match] - MATCH_RANK[best.match];
+      return rank > 0 || (rank === 0 && r.similarity > best.similarity) ? r : best;
+    });
+}
+
+function parseJsonField(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Resize and re-encode uploads one at a time (this runs on small servers); a file
+// that isn't a readable image rejects the whole upload
+async function processUploads(files) {
+  const processed = [];
+  for (const file of files) {
+    try {
+      const { buffer } = await processImage(file.buffer);
+      processed.push({ ...file, buffer, mimetype: 'image/webp', size: buffer.length });
+    } catch (err) {
+      throw Object.assign(new Error(`${file.originalname} could not be read as an image`), { code: 'UPLOAD_REJECTED' });
+    }
+  }
+  return processed;
+}
 
-  if (matchType === 'partial') {
-    // Partial credit: 50% × similarity
-    return Math.max(10, Math.round(base * 0.5 * similarity));
+// Process and store a room's puzzle images, returning their keys. On failure
+// nothing is left behind, so the room keeps its previous set.
+async function storeRoomImages(roomCode, buffers) {
+  const keys = [];
+  try {
+    for (const buffer of buffers) {
+      const { buffer: data, extension } = await processImage(buffer);
+      const key = `${roomCode}/${uuidv4().slice(0, 12)}${extension}`;
+      imageStore.put(key, data);
+      keys.push(key);
+    }
+  } catch (err) {
+    keys.forEach(k => imageStore.remove(k));
+    throw err;
   }
+  return keys;
+}
+
+// The puzzle shown in a round (0-based) of the current game; rooms without a
+// play order (before the first game, or saved by older versions) play in upload order
+function roundPuzzle(room, round = room.currentRound) {
+  return room.puzzles[room.playOrder ? room.playOrder[round] : round];
+}
+
+// Versioned by the image key so a re-uploaded puzzle never hits a stale cache.
+// Addressed by round, so the URL doesn't give away where a puzzle sits in the set.
+function puzzleImageUrl(room, round) {
+  const puzzle = roundPuzzle(room, round);
+  if (!puzzle.image) return null;
+  const version = puzzle.image.split('/')[1].split('.')[0];
+  return `/api/room/${room.code}/puzzle/${round + 1}?v=${version}`;
+}
 
-  // Correct but with typos: scale by similarity
-  // Exact match (similarity=1) → 100% score
-  // 1 typo (~0.89 similarity) → ~90% score
-  // 2 typos (~0.78 similarity) → ~80% score
-  const accuracyMultiplier = 0.5 + 0.5 * similarity; // maps 0→0.5, 1→1.0
-  return Math.max(25, Math.round(base * accuracyMultiplier));
+// What clients draw for a round's puzzle: an image URL, text to lay out, or a generated SVG
+function puzzleView(room, round) {
+  const puzzle = roundPuzzle(room, round);
+  const type = puzzle.type || 'image';
+  if (type === 'text' || type === 'emoji') return { type, content: puzzle.content };
+  if (type === 'layout') return { type, svg: renderLayoutSvg(puzzle.layout) };
+  return { type, image: puzzleImageUrl(room, round) };
 }
 
-function generateHints(answer) {
-  const words = answer.split(/\s+/);
-  // Only hint: first letter of each word + word count
-  const hintLetters = words.map(w => w[0].toUpperCase() + ' _'.repeat(w.length - 1)).join('  ');
-  const hint1 = `${hintLetters} — ${words.length} word${words.length > 1 ? 's' : ''}, ${answer.length} letters`;
+function packWithImageUrls(pack) {
+  const { editToken, ...shown } = pack;
+  return {
+    ...shown,
+    puzzles: pack.puzzles.map(p => ({
+      ...p,
+      imageUrl: p.image ? `/api/packs/${pack.id}/images/${p.image}` : null,
+      svg: p.type === 'layout' ? renderLayoutSvg(p.layout) : undefined
+    }))
+  };
+}
 
-  return { hint1 };
+// Host commands must come from the socket that joined with the room's host token
+function getHostRoom(socket, { roomCode, hostToken } = {}) {
+  const room = rooms.get(roomCode);
+  if (!room || socket.id !== room.hostId || hostToken !== room.hostToken) return null;
+  return room;
 }
 
 function getLeaderboard(room) {
@@ -108,21 +400,287 @@ function getLeaderboard(room) {
     .map(p => ({
       id: p.id,
       name: p.name,
+      avatar: p.avatar,
+      color: p.color,
       score: p.score,
       online: p.online,
+      teamId: p.teamId || null,
+      scoreIgnored: !!p.scoreIgnored,
       guessedThisRound: p.guessedThisRound || false
     }))
     .sort((a, b) => b.score - a.score);
 }
 
+function playerList(room) {
+  return Object.values(room.players).map(p => ({
+    id: p.id,
+    name: p.name,
+    avatar: p.avatar,
+    color: p.color,
+    online: p.online,
+    teamId: p.teamId || null,
+    muted: !!p.muted
+  }));
+}
+
+function broadcastLeaderboard(room) {
+  io.to(room.code).emit('leaderboard-update', getLeaderboard(room));
+  if (room.teams.length) io.to(room.code).emit('team-leaderboard-update', teams.getTeamLeaderboard(room));
+}
+
+function broadcastTeams(room) {
+  io.to(room.code).emit('teams-update', { ...teams.teamsPayload(room), players: playerList(room) });
+}
+
+// ─── Validation & Rate Limits ───
+
+const hostCommandSchema = { roomCode: roomCodeField, hostToken: hostTokenField };
+const displayName = str({ max: MAX_NAME_LENGTH, pattern: /^[^\x00-\x1f\x7f]+$/ });
+
+// Every socket event a client may send; anything else is dropped
+const EVENT_SCHEMAS = {
+  'host-join': { ...hostCommandSchema, sessionId: sessionIdField },
+  'spectate': { roomCode: roomCodeField },
+  'join-room': {
+    roomCode: roomCodeField,
+    playerName: displayName,
+    sessionId: sessionIdField,
+    teamId: str({ max: 8, optional: true }),
+    avatar: oneOf(AVATARS, { optional: true }),
+    color: oneOf(PLAYER_COLORS, { optional: true }),
+    profileToken: str({ max: 100, optional: true })
+  },
+  'start-game': {
+    ...hostCommandSchema,
+    rounds: int({ min: 1, max: 500, optional: true }),
+    timePerRound: int({ min: 5, max: 600, optional: true }),
+    scoring: oneOf(Object.keys(SCORING_PRESETS), { optional: true }),
+    order: oneOf(PLAY_ORDERS, { optional: true }),
+    randomSubset: bool({ optional: true })
+  },
+  'start-challenge': {
+    ...hostCommandSchema,
+    rounds: int({ min: 1, max: 500, optional: true }),
+    timePerRound: int({ min: 5, max: 600, optional: true }),
+    scoring: oneOf(Object.keys(SCORING_PRESETS), { optional: true }),
+    order: oneOf(PLAY_ORDERS, { optional: true }),
+    randomSubset: bool({ optional: true }),
+    hours: int({ min: 1, max: MAX_WINDOW_HOURS }),
+    opensIn: int({ min: 0, max: MAX_OPENS_IN_MINUTES, optional: true })
+  },
+  'challenge-next': { roomCode: roomCodeField },
+  'submit-guess': { roomCode: roomCodeField, guess: str({ max: 100 }) },
+  'request-hint': { roomCode: roomCodeField },
+  'reveal-hint': hostCommandSchema,
+  'set-teams': {
+    ...hostCommandSchema,
+    names: arrayOf(str({ max: 24 }), { max: teams.MAX_TEAMS, optional: true }),
+    teamScoring: oneOf(teams.TEAM_SCORING, { optional: true })
+  },
+  'balance-teams': hostCommandSchema,
+  'kick-player': { ...hostCommandSchema, playerId: shortId },
+  'ban-player': { ...hostCommandSchema, playerId: shortId, banIp: bool({ optional: true }) },
+  'rename-player': { ...hostCommandSchema, playerId: shortId, playerName: displayName },
+  'mute-player': { ...hostCommandSchema, playerId: shortId, muted: bool() },
+  'ignore-score': { ...hostCommandSchema, playerId: shortId },
+  'dismiss-flag': { ...hostCommandSchema, flagId: shortId },
+  'assign-team': { ...hostCommandSchema, playerId: shortId, teamId: shortId },
+  'choose-team': { roomCode: roomCodeField, teamId: shortId },
+  'next-round': hostCommandSchema,
+  'pause-game': hostCommandSchema,
+  'resume-game': hostCommandSchema,
+  'extend-time': { ...hostCommandSchema, seconds: int({ min: 5, max: 300, optional: true }) },
+  'skip-round': hostCommandSchema,
+  'end-round': hostCommandSchema,
+  'end-game': hostCommandSchema,
+  'play-again': { ...hostCommandSchema, packId: str({ max: 36, optional: true }) }
+};
+
+const WRONG_GUESS_COOLDOWN = 1000;                                     // ms before a player may guess again after a miss
+const socketLimiter = createRateLimiter({ capacity: 20, perSecond: 10 });  // events per socket
+const socketIpLimiter = createRateLimiter({ capacity: 200, perSecond: 100 }); // events per IP, across sockets (offices share IPs)
+const guessLimiter = createRateLimiter({ capacity: 5, perSecond: 2 });    // guesses per socket
+const apiLimiter = createRateLimiter({ capacity: 120, perSecond: 5 });    // REST requests per IP
+// Puzzle images per IP: a whole classroom behind one router fetches each round's
+// image (and preloads the next) at the same moment
+const imageLimiter = createRateLimiter({ capacity: 600, perSecond: 20 });
+const createRoomLimiter = createRateLimiter({ capacity: 10, perSecond: 1 / 60 }); // new rooms per IP
+const uploadLimiter = createRateLimiter({ capacity: 20, perSecond: 1 / 30 });   // room puzzle uploads per IP
+const adminFailures = createRateLimiter({ capacity: 10, perSecond: 1 / 60 }); // wrong admin passwords per IP
+const signupLimiter = createRateLimiter({ capacity: 5, perSecond: 1 / 60 });  // new profiles per IP
+const loginFailures = createRateLimiter({ capacity: 10, perSecond: 1 / 60 }); // wrong profile passwords per IP
+setInterval(() => {
+  [socketIpLimiter, apiLimiter, imageLimiter, createRoomLimiter, uploadLimiter, adminFailures, signupLimiter, loginFailures].forEach(l => l.prune());
+}, 60 * 1000).unref();
+
+// The same address Express gives as req.ip: X-Forwarded-For is only followed through
+// the proxies TRUST_PROXY trusts, so clients can't name their own. Stand-ins for
+// sockets on other processes carry the address their own process resolved.
+function socketIp(socket) {
+  if (!socket.request) return socket.handshake.address;
+  return proxyaddr(socket.request, app.get('trust proxy fn'));
+}
+
+function sendError(socket, code, extra = {}) {
+  socket.emit('error-msg', { code, message: ERRORS[code], ...extra });
+}
+
+function httpError(res, status, code, message) {
+  return res.status(status).json({ code, error: message || ERRORS[code] });
+}
+
+function limitRequests(limiter) {
+  return (req, res, next) => (limiter.take(req.ip) ? next() : httpError(res, 429, 'RATE_LIMITED'));
+}
+
+// ─── Room Actions ───
+// What REST endpoints read from or change in a live room. They run on the process
+// that owns the room (see runRoomAction), so arguments and results are plain JSON.
+
+const ROOM_ACTIONS = {
+  // What the upload endpoint checks before it processes any images
+  uploadTarget(room) {
+    return { code: room.code, hostToken: room.hostToken, state: room.state };
+  },
+
+  // Swap in an uploaded set whose images are already stored; false if the game has started
+  replacePuzzles(room, { puzzles, imageKeys }) {
+    if (room.state === 'playing' || room.state === 'challenge') return false;
+    room.puzzles.forEach(p => { if (p.image) imageStore.remove(p.image); });
+    const keys = [...imageKeys];
+    room.puzzles = puzzles.map(puzzle => ({
+      image: puzzle.type === 'image' ? keys.shift() : null,
+      ...puzzle,
+      hints: buildHints(puzzle)
+    }));
+    room.totalRounds = room.puzzles.length;
+    room.playOrder = null;
+    room.state = 'lobby';
+    persistRoom(room, { puzzles: true });
+    log.info('room.puzzles_uploaded', { roomCode: room.code, puzzleCount: room.puzzles.length });
+    return true;
+  },
+
+  currentGame(room) {
+    return { hostToken: room.hostToken, rounds: room.history };
+  },
+
+  roomStatus(room) {
+    return {
+      code: room.code,
+      state: room.state,
+      playerCount: Object.values(room.players).filter(p => p.online).length,
+      totalRounds: room.totalRounds,
+      // For the join screen's pickers; taken ones can still be chosen
+      avatars: AVATARS,
+      colors: PLAYER_COLORS,
+      takenAvatars: Object.values(room.players).map(p => p.avatar).filter(Boolean)
+    };
+  },
+
+  // { found, key } for the image of a round the requester may see. In a challenge
+  // that's up to the puzzle the run with this key is on, and never the one after it.
+  puzzleImage(room, { round, hostToken, runKey }) {
+    const puzzle = Number.isInteger(round) && round >= 0 && roundPuzzle(room, round);
+    const isHost = hostToken === room.hostToken;
+    let unlocked = room.state === 'playing' || room.state === 'finished' ? room.currentRound + 1 : -1;
+    if (room.challenge) {
+      const run = runKey && Object.values(room.runs).find(r => r.key === runKey);
+      unlocked = run && run.phase !== 'ready' ? run.round : -1;
+    }
+    if (!puzzle || (!isHost && round > unlocked)) return { found: false };
+    return { found: true, key: puzzle.image || null };
+  },
+
+  // The admin console's actions; see "Admin Console"
+  adminEndGame(room) {
+    if (room.state !== 'playing' && room.state !== 'challenge') return false;
+    endGame(room);
+    return true;
+  },
+
+  adminAnnounce(room, { message }) {
+    io.to(room.code).emit('announcement', { message });
+    return true;
+  },
+
+  adminCloseRoom(room) {
+    io.to(room.code).emit('room-closed', { code: 'ROOM_CLOSED', message: ERRORS.ROOM_CLOSED });
+    io.in(room.code).socketsLeave(room.code);
+    deleteRoom(room.code);
+    return true;
+  }
+};
+
+// ─── Health & Metrics ───
+
+// Set once restored rooms are running and the server takes connections
+let ready = false;
+
+// Liveness: the process is up and its event loop is turning
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: started, and the room store can be read
+app.get('/readyz', (req, res) => {
+  const checks = { started: ready, roomStore: true };
+  try {
+    roomStore.codes();
+  } catch (err) {
+    checks.roomStore = false;
+    log.error('health.room_store_failed', { err });
+  }
+  const ok = Object.values(checks).every(Boolean);
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unavailable', checks });
+});
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get('/metrics', async (req, res, next) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return httpError(res, 401, 'UNAUTHORIZED');
+  }
+  try {
+    const snapshots = [metrics.snapshot()];
+    // Workers that don't answer in time are left out of this scrape
+    if (clustered) snapshots.push(...await new Promise(resolve => io.serverSideEmit('metrics', (err, replies) => resolve(replies || []))));
+    res.type('text/plain; version=0.0.4').send(formatMetrics(mergeSnapshots(snapshots)));
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ─── REST Endpoints ───
 
-app.post('/api/create-room', (req, res) => {
+// Puzzle images have their own, larger limit (see imageLimiter)
+const PUZZLE_IMAGE_PATH = /^\/room\/[^/]+\/puzzle\/[^/]+$/;
+const limitApi = limitRequests(apiLimiter);
+app.use('/api', (req, res, next) => (PUZZLE_IMAGE_PATH.test(req.path) ? next() : limitApi(req, res, next)));
+
+app.post('/api/create-room', limitRequests(createRoomLimiter), async (req, res, next) => {
+  const { value, error } = validate({ packId: str({ max: 36, optional: true }) }, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  const { packId } = value;
+  let packPuzzles = null;
+  if (packId) {
+    packPuzzles = library.loadPuzzles(packId);
+    if (!packPuzzles) return httpError(res, 404, 'PACK_NOT_FOUND');
+    if (packPuzzles.length === 0) return httpError(res, 400, 'INVALID_PAYLOAD', 'Puzzle pack is empty');
+  }
+
   const roomCode = generateRoomCode();
-  rooms.set(roomCode, {
+  let imageKeys = [];
+  try {
+    if (packPuzzles) imageKeys = await storeRoomImages(roomCode, packPuzzles.filter(p => p.imageData).map(p => p.imageData));
+  } catch (err) {
+    return next(err);
+  }
+
+  const room = {
     code: roomCode,
     hostId: null,
     hostSessionId: null,
+    hostToken: uuidv4(),  // secret proving host authority; only ever sent to the creator
     puzzles: [],
     players: {},
     sessions: {},       // sessionId → playerId
@@ -133,60 +691,677 @@ app.post('/api/create-room', (req, res) => {
     roundTimer: null,
     hintTimers: [],
     roundStartTime: null,
-    roundAnswered: {}   // playerId → true if already answered this round
-  });
-  res.json({ roomCode });
+    roundEndedAt: null, // set while showing round results, cleared when the next round starts
+    roundExtension: 0,  // seconds the host added to the current round
+    pausedAt: null,     // set while the host has paused the current round or results screen
+    pausedTotal: 0,     // ms spent paused during the current round or results screen
+    roundAnswered: {},  // playerId → true if already answered this round
+    roundScores: {},    // playerId → score breakdown for the current round
+    hintsRevealed: 0,   // hints of the current puzzle shown to everyone
+    roundHints: {},     // playerId → hints of the current puzzle that player has seen (bought early)
+    scoring: 'classic', // key of SCORING_PRESETS
+    teams: [],          // team mode when non-empty, see lib/teams.js
+    teamScoring: 'sum', // sum | average | first
+    gameStartedAt: null,
+    history: [],        // one record per round played this game, with every guess
+    flags: [],          // anti-cheat flags awaiting the host's review, see lib/anti-cheat.js
+    bans: { sessions: [], ips: [] },
+    order: 'upload',    // upload | shuffle | ramp, see lib/play-order.js
+    randomSubset: false,
+    playOrder: null,    // indexes into puzzles for this game's rounds, set when it starts
+    gamesPlayed: 0,     // games finished in this room; players' matchTotal adds up their scores across them
+    challenge: null,    // { opensAt, closesAt } while playing or showing the results of a challenge
+    runs: {},           // playerId → that player's progress through the challenge, see lib/challenge.js
+    runTimers: {},      // playerId → round and hint timers of the puzzle that player is on
+    packId: packId || null,
+    createdAt: Date.now()
+  };
+  if (packPuzzles) {
+    room.puzzles = packPuzzles.map(({ imageData, ...p }) => ({ ...p, image: imageData ? imageKeys.shift() : null, hints: buildHints(p) }));
+    room.totalRounds = room.puzzles.length;
+    room.state = 'lobby';
+  }
+  rooms.set(roomCode, room);
+  leases.claim(roomCode, NODE_ID);
+  persistRoom(room, { puzzles: true });
+  log.info('room.created', { roomCode, packId: room.packId, puzzleCount: room.puzzles.length });
+  res.json({ roomCode, hostToken: room.hostToken, puzzleCount: room.puzzles.length });
 });
 
-app.post('/api/upload/:roomCode', upload.array('images', 50), (req, res) => {
-  const room = rooms.get(req.params.roomCode);
-  if (!room) return res.status(404).json({ error: 'Room not found' });
+// Checked before multer reads a byte of the upload, so only the room's host can
+// make the server buffer images for it
+async function requireUploadHost(req, res, next) {
+  let room;
+  try {
+    room = await runRoomAction(req.params.roomCode, 'uploadTarget');
+  } catch (err) {
+    return next(err);
+  }
+  if (!room) return httpError(res, 404, 'ROOM_NOT_FOUND');
+  if (req.get('X-Host-Token') !== room.hostToken) return httpError(res, 403, 'NOT_HOST');
+  if (room.state === 'playing' || room.state === 'challenge') return httpError(res, 409, 'UPLOAD_REJECTED', 'The game has already started');
+  req.uploadTarget = room;
+  next();
+}
+
+app.post('/api/upload/:roomCode', limitRequests(uploadLimiter), requireUploadHost, upload.array('images', 50), async (req, res, next) => {
+  recordUpload('room', req.files);
+  const room = req.uploadTarget;
 
-  const answers = JSON.parse(req.body.answers || '[]');
-  const puzzles = req.files.map((file, i) => ({
-    image: `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-    answer: answers[i] || 'Unknown',
-    hints: generateHints(answers[i] || 'Unknown')
-  }));
-  room.puzzles = puzzles;
-  room.totalRounds = puzzles.length;
-  room.state = 'lobby';
+  // Each entry is either a plain answer string or { type, answer, alternates, rejected, matching, clues, autoHints, ... }.
+  // Image entries take the uploaded files in order; files left over become puzzles of their own.
+  const answers = parseJsonField(req.body.answers, []);
+  if (!Array.isArray(answers) || answers.length > 50) {
+    return httpError(res, 400, 'INVALID_PAYLOAD', 'answers must be a JSON list of up to 50 entries');
+  }
+  const files = req.files || [];
+  const puzzles = answers.map(a => cleanPuzzle(typeof a === 'object' && a ? a : { answer: a }));
+  const imageCount = puzzles.filter(p => p.type === 'image').length;
+  if (imageCount > files.length) return httpError(res, 400, 'UPLOAD_REJECTED', `Expected ${imageCount} images, got ${files.length}`);
+  files.slice(imageCount).forEach(() => puzzles.push(cleanPuzzle({})));
+  if (puzzles.length === 0 || puzzles.length > 50) return httpError(res, 400, 'UPLOAD_REJECTED', 'Add between 1 and 50 puzzles');
+  const empty = puzzles.findIndex(p => !hasContent(p));
+  if (empty !== -1) return httpError(res, 400, 'INVALID_PAYLOAD', `Puzzle ${empty + 1} has nothing to show`);
+
+  let imageKeys;
+  try {
+    imageKeys = await storeRoomImages(room.code, files.map(f => f.buffer));
+  } catch (err) {
+    return next(Object.assign(err, { code: 'UPLOAD_REJECTED', message: 'Every file must be a readable image' }));
+  }
+  let replaced;
+  try {
+    replaced = await runRoomAction(room.code, 'replacePuzzles', { puzzles, imageKeys });
+  } catch (err) {
+    imageKeys.forEach(k => imageStore.remove(k));
+    return next(err);
+  }
+  // The game may have started while we were processing
+  if (!replaced) {
+    imageKeys.forEach(k => imageStore.remove(k));
+    return httpError(res, 409, 'UPLOAD_REJECTED', 'The game has already started');
+  }
   res.json({ success: true, puzzleCount: puzzles.length });
 });
 
-app.get('/api/room/:roomCode/status', (req, res) => {
-  const room = rooms.get(req.params.roomCode.toUpperCase());
-  if (!room) return res.status(404).json({ error: 'Room not found' });
+// Summary of one of the room's finished games as JSON, or one row per guess with
+// ?format=csv. ?game=N picks the room's Nth game; without it, the latest.
+app.get('/api/room/:roomCode/results', (req, res) => {
+  const code = req.params.roomCode.toUpperCase();
+  const gameNumber = req.query.game === undefined ? undefined : Number(req.query.game);
+  if (gameNumber !== undefined && !(Number.isInteger(gameNumber) && gameNumber > 0)) {
+    return httpError(res, 400, 'INVALID_PAYLOAD', 'game must be a game number');
+  }
+  let summary;
+  try {
+    summary = resultsStore.get(code, gameNumber);
+  } catch (err) {
+    log.error('results.read_failed', { roomCode: code, err });
+    return httpError(res, 500, 'SERVER_ERROR', 'Could not read results');
+  }
+  if (!summary) return httpError(res, 404, 'NOT_FOUND', 'No results for this room');
+  if (req.get('X-Host-Token') !== summary.hostToken) return httpError(res, 403, 'NOT_HOST');
+
+  const { hostToken, ...results } = summary;
+  if (req.query.format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`rebus-${code}-game${results.gameNumber}-results.csv`);
+    return res.send(resultsToCsv(results));
+  }
+  res.json(results);
+});
+
+// Per-puzzle stats for the room's current game, or its last finished one between games
+// and once the room is gone
+app.get('/api/room/:roomCode/analytics', async (req, res, next) => {
+  const code = req.params.roomCode.toUpperCase();
+  let game;
+  try {
+    game = await runRoomAction(code, 'currentGame');
+  } catch (err) {
+    return next(err);
+  }
+  // Back in the lobby after play-again there's nothing played yet; show the game that just finished
+  if (!game || !game.rounds.length) {
+    let finished;
+    try {
+      finished = resultsStore.get(code);
+    } catch (err) {
+      log.error('results.read_failed', { roomCode: code, err });
+      return httpError(res, 500, 'SERVER_ERROR', 'Could not read results');
+    }
+    if (finished && (!game || finished.hostToken === game.hostToken)) game = finished;
+  }
+  if (!game) return httpError(res, 404, 'ROOM_NOT_FOUND');
+  if (req.get('X-Host-Token') !== game.hostToken) return httpError(res, 403, 'NOT_HOST');
+
   res.json({
-    code: room.code,
-    state: room.state,
-    playerCount: Object.values(room.players).filter(p => p.online).length,
-    totalRounds: room.totalRounds
+    roomCode: code,
+    rounds: game.rounds.map(r => ({
+      roundNum: r.roundNum,
+      answer: r.answer,
+      skipped: r.skipped,
+      ...roundStats(r)
+    }))
+  });
+});
+
+app.get('/api/room/:roomCode/status', async (req, res, next) => {
+  let status;
+  try {
+    status = await runRoomAction(req.params.roomCode.toUpperCase(), 'roomStatus');
+  } catch (err) {
+    return next(err);
+  }
+  if (!status) return httpError(res, 404, 'ROOM_NOT_FOUND');
+  res.json(status);
+});
+
+// The image of round n's puzzle. Players may fetch rounds up to the next one (so
+// clients can preload it during the results screen); the host can fetch any of them.
+app.get('/api/room/:roomCode/puzzle/:n', limitRequests(imageLimiter), async (req, res, next) => {
+  const round = Number(req.params.n) - 1;
+  let image;
+  try {
+    image = await runRoomAction(req.params.roomCode.toUpperCase(), 'puzzleImage', {
+      round,
+      hostToken: req.get('X-Host-Token'),
+      runKey: typeof req.query.run === 'string' ? req.query.run : undefined
+    });
+  } catch (err) {
+    return next(err);
+  }
+  if (image === null) return httpError(res, 404, 'ROOM_NOT_FOUND');
+  if (!image.found) return httpError(res, 404, 'NOT_FOUND', 'Puzzle not found');
+
+  const blob = image.key && imageStore.get(image.key);
+  if (!blob) return httpError(res, 404, 'NOT_FOUND', 'Image not found');
+  // Versioned URLs never change content; unversioned ones revalidate by ETag
+  res.set('Cache-Control', req.query.v ? 'private, max-age=86400, immutable' : 'private, no-cache');
+  res.type(blob.contentType).send(blob.buffer);
+});
+
+// The SVG a layout puzzle will show, so the host can preview it while editing
+app.post('/api/layout-preview', (req, res) => {
+  const { value, error } = validate({ layout: arrayOf(any(), { max: 20 }) }, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  const layout = value.layout.filter(i => i && typeof i === 'object').map(cleanLayoutItem).filter(i => i.text);
+  res.json({ svg: renderLayoutSvg(layout) });
+});
+
+// ─── Puzzle Set Import / Export ───
+
+// Reads an uploaded archive back into the host setup view: the puzzles that passed
+// validation (image puzzles with their processed image as a data URL) and a list
+// of { row, field, message } for the manifest rows that didn't
+app.post('/api/import', importUpload.single('archive'), async (req, res) => {
+  recordUpload('import', req.file && [req.file]);
+  if (!req.file) return httpError(res, 400, 'UPLOAD_REJECTED', 'Choose a ZIP, CSV or JSON file to import');
+  let archive;
+  try {
+    archive = readPuzzleArchive(req.file.buffer, req.file.originalname);
+  } catch (err) {
+    return httpError(res, 400, 'UPLOAD_REJECTED', err.message);
+  }
+
+  const puzzles = [];
+  const errors = [...archive.errors];
+  for (const { row, puzzle, imageData } of archive.puzzles) {
+    if (!imageData) {
+      puzzles.push({ ...puzzle, image: null, svg: puzzle.type === 'layout' ? renderLayoutSvg(puzzle.layout) : undefined });
+      continue;
+    }
+    try {
+      const { buffer } = await processImage(imageData);
+      puzzles.push({ ...puzzle, image: `data:image/webp;base64,${buffer.toString('base64')}` });
+    } catch (err) {
+      errors.push({ row, field: 'image', message: 'the image could not be read' });
+    }
+  }
+  errors.sort((a, b) => a.row - b.row);
+  res.json({ puzzles, errors });
+});
+
+function sendArchive(res, name, puzzles, format) {
+  res.type('application/zip');
+  res.attachment(`${name}.zip`);
+  res.send(writePuzzleArchive(puzzles, format === 'json' ? 'json' : 'csv'));
+}
+
+// The host setup view's unsaved puzzles, sent the way they'd be uploaded to a room
+// (image puzzles take the files in order), returned as an archive to import later
+app.post('/api/export', upload.array('images', 50), (req, res) => {
+  recordUpload('export', req.files);
+  const { value, error } = validate({ puzzles: arrayOf(any(), { max: 50 }) }, { puzzles: parseJsonField(req.body.puzzles, []) });
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  const files = [...(req.files || [])];
+  const puzzles = value.puzzles.map(p => {
+    const puzzle = cleanPuzzle(p && typeof p === 'object' ? p : {});
+    return { ...puzzle, imageData: puzzle.type === 'image' && files.length ? files.shift().buffer : null };
+  });
+  if (puzzles.length === 0) return httpError(res, 400, 'INVALID_PAYLOAD', 'There are no puzzles to export');
+  sendArchive(res, 'rebus-puzzles', puzzles, req.body.format);
+});
+
+// ─── Puzzle Packs ───
+
+app.get('/api/packs', (req, res) => {
+  res.json({ packs: library.listPacks() });
+});
+
+app.get('/api/packs/:packId', (req, res) => {
+  const pack = library.getPack(req.params.packId);
+  if (!pack) return httpError(res, 404, 'PACK_NOT_FOUND');
+  res.json(packWithImageUrls(pack));
+});
+
+app.get('/api/packs/:packId/images/:image', (req, res) => {
+  const file = library.imagePath(req.params.packId, req.params.image);
+  if (!file) return httpError(res, 404, 'NOT_FOUND', 'Image not found');
+  res.sendFile(file);
+});
+
+// Saving a pack hands back its edit token, the way creating a room hands back its
+// host token. Changing or deleting the pack takes that token in X-Pack-Token, or the
+// admin password; packs saved before edit tokens existed only take the password.
+// Runs before any upload is read.
+function requirePackEditor(req, res, next) {
+  const pack = library.getPack(req.params.packId);
+  if (!pack) return httpError(res, 404, 'PACK_NOT_FOUND');
+  const token = req.get('X-Pack-Token');
+  if (pack.editToken && token && passwordMatches(token, pack.editToken)) {
+    req.pack = pack;
+    return next();
+  }
+  if (req.get('X-Admin-Password')) {
+    return requireAdmin(req, res, () => {
+      req.pack = pack;
+      next();
+    });
+  }
+  httpError(res, 403, 'NOT_PACK_EDITOR');
+}
+
+// Index of the first puzzle with nothing to show, or -1. `types` maps the ids of
+// puzzles already saved in a pack to their type, which an update keeps.
+function emptyPuzzleIndex(puzzles, types = new Map()) {
+  return puzzles.findIndex(p => {
+    const entry = p && typeof p === 'object' ? p : {};
+    return !hasContent(cleanPuzzle(types.has(entry.id) ? { ...entry, type: types.get(entry.id) } : entry));
+  });
+}
+
+// Multipart pack fields; tags and puzzles arrive as JSON strings
+function packSchema({ optional }) {
+  return {
+    name: str({ max: 60, optional }),
+    tags: arrayOf(str({ max: 24 }), { max: 20, optional }),
+    puzzles: arrayOf(any(), { max: 50, optional })
+  };
+}
+
+app.post('/api/packs', upload.array('images', 50), async (req, res, next) => {
+  recordUpload('pack', req.files);
+  const { value, error } = validate(packSchema({ optional: false }), {
+    name: req.body.name,
+    tags: parseJsonField(req.body.tags, []),
+    puzzles: parseJsonField(req.body.puzzles, [])
+  });
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  if (!(req.files || []).length && !value.puzzles.length) return httpError(res, 400, 'UPLOAD_REJECTED', 'A pack needs at least one puzzle');
+  const empty = emptyPuzzleIndex(value.puzzles);
+  if (empty !== -1) return httpError(res, 400, 'INVALID_PAYLOAD', `Puzzle ${empty + 1} has nothing to show`);
+
+  try {
+    const pack = library.createPack(value, await processUploads(req.files || []));
+    res.status(201).json({ ...packWithImageUrls(pack), editToken: pack.editToken });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.put('/api/packs/:packId', requirePackEditor, upload.array('images', 50), async (req, res, next) => {
+  recordUpload('pack', req.files);
+  const tags = parseJsonField(req.body.tags, null);
+  const puzzles = parseJsonField(req.body.puzzles, null);
+  if (tags === undefined || puzzles === undefined) return httpError(res, 400, 'INVALID_PAYLOAD', 'Invalid tags or puzzles');
+  if (req.body.name !== undefined && !String(req.body.name).trim()) {
+    return httpError(res, 400, 'INVALID_PAYLOAD', 'Pack name is required');
+  }
+  const { value, error } = validate(packSchema({ optional: true }), { name: req.body.name, tags, puzzles });
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  if (value.puzzles) {
+    if (!value.puzzles.length) return httpError(res, 400, 'UPLOAD_REJECTED', 'A pack needs at least one puzzle');
+    const empty = emptyPuzzleIndex(value.puzzles, new Map(req.pack.puzzles.map(p => [p.id, p.type || 'image'])));
+    if (empty !== -1) return httpError(res, 400, 'INVALID_PAYLOAD', `Puzzle ${empty + 1} has nothing to show`);
+  }
+
+  let pack;
+  try {
+    pack = library.updatePack(req.params.packId, value, await processUploads(req.files || []));
+  } catch (err) {
+    return next(err);
+  }
+  if (!pack) return httpError(res, 404, 'PACK_NOT_FOUND');
+  res.json(packWithImageUrls(pack));
+});
+
+app.get('/api/packs/:packId/export', (req, res) => {
+  const pack = library.getPack(req.params.packId);
+  const puzzles = pack && library.loadPuzzles(pack.id);
+  if (!puzzles) return httpError(res, 404, 'PACK_NOT_FOUND');
+  const name = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack';
+  sendArchive(res, `rebus-${name}`, puzzles, req.query.format);
+});
+
+app.delete('/api/packs/:packId', requirePackEditor, (req, res) => {
+  if (!library.deletePack(req.params.packId)) return httpError(res, 404, 'PACK_NOT_FOUND');
+  res.json({ success: true });
+});
+
+// ─── Player Profiles ───
+// Signing in is optional. public/profile.html creates a profile or signs in to one
+// and keeps the token it gets back; game.html sends that token when joining a room,
+// and endGame adds the game to the profile's stats. Requests about your own profile
+// carry the token in X-Profile-Token.
+
+const credentialsSchema = {
+  username: str({ min: 3, max: 20, pattern: profiles.USERNAME_PATTERN }),
+  password: str({ min: 8, max: 200 })
+};
+
+function requestProfile(req) {
+  return profiles.profileForToken(profileStore, req.get('X-Profile-Token'));
+}
+
+app.post('/api/profiles', limitRequests(signupLimiter), async (req, res, next) => {
+  const { value, error } = validate(credentialsSchema, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  if (profanity.isProfane(value.username)) return httpError(res, 400, 'NAME_REJECTED');
+  const id = profiles.profileId(value.username);
+  if (profileStore.get(id)) return httpError(res, 409, 'USERNAME_TAKEN');
+
+  let profile;
+  try {
+    profile = await profiles.createProfile(value.username, value.password);
+  } catch (err) {
+    return next(err);
+  }
+  // Someone else may have taken the name while the password was hashing
+  if (profileStore.get(id)) return httpError(res, 409, 'USERNAME_TAKEN');
+  const token = profiles.issueToken(profile);
+  profileStore.save(profile);
+  log.info('profile.created', { profileId: profile.id });
+  res.status(201).json({ token, profile: profiles.publicProfile(profile) });
+});
+
+app.post('/api/profiles/login', async (req, res, next) => {
+  if (!loginFailures.allows(req.ip)) return httpError(res, 429, 'RATE_LIMITED');
+  const { value, error } = validate(credentialsSchema, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+
+  const id = profiles.profileId(value.username);
+  const found = profileStore.get(id);
+  let matches;
+  try {
+    matches = found && await profiles.checkPassword(found, value.password);
+  } catch (err) {
+    return next(err);
+  }
+  if (!matches) {
+    loginFailures.take(req.ip);
+    log.warn('profile.login_failed', { ip: req.ip });
+    return httpError(res, 401, 'LOGIN_FAILED');
+  }
+  // Read it again: a game may have ended (or another browser signed in) meanwhile
+  const profile = profileStore.get(id);
+  const token = profiles.issueToken(profile);
+  profileStore.save(profile);
+  res.json({ token, profile: profiles.publicProfile(profile) });
+});
+
+app.post('/api/profiles/logout', (req, res) => {
+  const profile = requestProfile(req);
+  if (profile) {
+    profiles.revokeToken(profile, req.get('X-Profile-Token'));
+    profileStore.save(profile);
+  }
+  res.json({ success: true });
+});
+
+app.get('/api/profiles/me', (req, res) => {
+  const profile = requestProfile(req);
+  if (!profile) return httpError(res, 401, 'UNAUTHORIZED');
+  res.json(profiles.publicProfile(profile));
+});
+
+// Stats are public, so players can look each other up
+app.get('/api/profiles/:username', (req, res) => {
+  const { username } = req.params;
+  const profile = profiles.USERNAME_PATTERN.test(username) && profileStore.get(profiles.profileId(username));
+  if (!profile) return httpError(res, 404, 'PROFILE_NOT_FOUND');
+  res.json(profiles.publicProfile(profile));
+});
+
+// ─── Admin Console ───
+// public/admin.html lists every live room and acts on them. The API answers only
+// when ADMIN_PASSWORD is set, to requests carrying it in X-Admin-Password; a run
+// of wrong passwords from one IP locks it out for a while.
+
+// Compare digests so neither the length nor the contents leak through timing
+function passwordMatches(given, expected) {
+  const digest = s => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_PASSWORD) return httpError(res, 503, 'ADMIN_DISABLED');
+  if (!adminFailures.allows(req.ip)) return httpError(res, 429, 'RATE_LIMITED');
+  if (!passwordMatches(req.get('X-Admin-Password') || '', process.env.ADMIN_PASSWORD)) {
+    adminFailures.take(req.ip);
+    log.warn('admin.auth_failed', { ip: req.ip });
+    return httpError(res, 401, 'UNAUTHORIZED');
+  }
+  next();
+}
+
+// The rooms this process holds. Memory is what the room's state and puzzles take
+// as JSON, a rough guide to its footprint; images live in the image store.
+function adminRoomList() {
+  return [...rooms.values()].map(room => {
+    const players = Object.values(room.players);
+    const pending = pendingCleanups.get(room.code);
+    const started = room.state === 'playing' || room.state === 'finished';
+    return {
+      code: room.code,
+      state: room.state,
+      paused: !!room.pausedAt,
+      hostOnline: !!room.hostId,
+      playersOnline: players.filter(p => p.online).length,
+      playerCount: players.length,
+      round: started ? room.currentRound + 1 : null,
+      totalRounds: room.totalRounds,
+      gamesPlayed: room.gamesPlayed || 0,
+      createdAt: room.createdAt || null, // rooms from before this was recorded have none
+      cleanupAt: pending ? pending.since + settings.cleanupMinutes * 60 * 1000 : null,
+      memoryBytes: Buffer.byteLength(JSON.stringify(serializeRoom(room))) + Buffer.byteLength(JSON.stringify(room.puzzles)),
+      pid: process.pid
+    };
   });
+}
+
+// Pending cleanups keep the time their room emptied and move to the new deadline
+function applySettings(next) {
+  settings = { ...settings, ...next };
+  pendingCleanups.forEach(({ since }, code) => scheduleCleanup(code, since));
+}
+
+// The room code from the URL, or null after answering 400
+function adminRoomCode(req, res) {
+  const { value, error } = validate({ roomCode: roomCodeField }, req.params);
+  if (error) {
+    httpError(res, 400, 'INVALID_PAYLOAD', error);
+    return null;
+  }
+  return value.roomCode;
+}
+
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/rooms', async (req, res, next) => {
+  try {
+    const lists = [adminRoomList()];
+    // Workers that don't answer in time are left out of this list
+    if (clustered) lists.push(...await new Promise(resolve => io.serverSideEmit('admin-rooms', (err, replies) => resolve(replies || []))));
+    const list = lists.flat().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    res.json({ now: Date.now(), settings, rooms: list });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/admin/rooms/:roomCode/end-game', async (req, res, next) => {
+  const roomCode = adminRoomCode(req, res);
+  if (!roomCode) return;
+  try {
+    const ended = await runRoomAction(roomCode, 'adminEndGame');
+    if (ended === null) return httpError(res, 404, 'ROOM_NOT_FOUND');
+    if (!ended) return httpError(res, 409, 'GAME_NOT_RUNNING');
+    log.info('admin.game_ended', { roomCode, ip: req.ip });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/admin/rooms/:roomCode/broadcast', async (req, res, next) => {
+  const roomCode = adminRoomCode(req, res);
+  if (!roomCode) return;
+  const { value, error } = validate({ message: str({ max: 280 }) }, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  try {
+    if (!await runRoomAction(roomCode, 'adminAnnounce', { message: value.message })) return httpError(res, 404, 'ROOM_NOT_FOUND');
+    log.info('admin.broadcast', { roomCode, ip: req.ip, message: value.message });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete('/api/admin/rooms/:roomCode', async (req, res, next) => {
+  const roomCode = adminRoomCode(req, res);
+  if (!roomCode) return;
+  try {
+    if (!await runRoomAction(roomCode, 'adminCloseRoom')) return httpError(res, 404, 'ROOM_NOT_FOUND');
+    log.info('admin.room_deleted', { roomCode, ip: req.ip });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/admin/settings', (req, res) => {
+  res.json(settings);
+});
+
+app.put('/api/admin/settings', (req, res, next) => {
+  const { value, error } = validate({ cleanupMinutes: int({ min: 1, max: 24 * 60 }) }, req.body || {});
+  if (error) return httpError(res, 400, 'INVALID_PAYLOAD', error);
+  try {
+    settingsStore.save({ ...settings, ...value });
+  } catch (err) {
+    return next(err);
+  }
+  applySettings(value);
+  if (clustered) io.serverSideEmit('settings-changed', value);
+  log.info('admin.settings_changed', { ip: req.ip, ...value });
+  res.json(settings);
+});
+
+// Upload limits, rejected files and malformed JSON bodies become 400s with a code
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.code === 'UPLOAD_REJECTED') {
+    return httpError(res, 400, 'UPLOAD_REJECTED', err.message);
+  }
+  if (err.code === 'ROOM_UNAVAILABLE') return httpError(res, 503, 'ROOM_UNAVAILABLE');
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return httpError(res, err.status, 'INVALID_PAYLOAD', 'Malformed or oversized JSON body');
+  }
+  log.error('http.request_failed', { method: req.method, path: req.path, err });
+  httpError(res, 500, 'SERVER_ERROR');
 });
 
 // ─── Socket.IO ───
 
 io.on('connection', (socket) => {
+  const ip = socketIp(socket);
+  const handlers = roomHandlers(socket);
+
+  // Rate-limit and validate every incoming event, then run it where its room lives
+  socket.use((packet) => {
+    const schema = EVENT_SCHEMAS[packet[0]];
+    if (!schema) return;
+    if (!socketLimiter.take(socket.id) || !socketIpLimiter.take(ip)) return sendError(socket, 'RATE_LIMITED');
+    const { value, error } = validate(schema, packet[1]);
+    if (error) return sendError(socket, 'INVALID_PAYLOAD', { message: `Invalid request: ${error}` });
+    dispatchEvent(socket, handlers, packet[0], value);
+  });
+
+  socket.on('disconnect', () => {
+    socketLimiter.forget(socket.id);
+    if (socket.data.roomCode) dispatchEvent(socket, handlers, 'disconnect', { roomCode: socket.data.roomCode });
+  });
+});
 
-  socket.on('host-join', ({ roomCode, sessionId }) => {
+// Handlers for every client event (and the room side of a disconnect), keyed by
+// event name. They only run in the process that owns the room, where `socket` is
+// either the client's own socket or, for clients connected to another process, a
+// stand-in from remoteSocket().
+function roomHandlers(socket) {
+  const handlers = {};
+  const on = (event, handler) => { handlers[event] = handler; };
+
+  on('host-join', ({ roomCode, sessionId, hostToken }) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit('error-msg', { message: 'Room not found' });
+    if (!room) return socket.emit('host-rejected', { code: 'ROOM_NOT_FOUND', message: ERRORS.ROOM_NOT_FOUND });
+    if (hostToken !== room.hostToken) {
+      return socket.emit('host-rejected', { code: 'NOT_HOST', message: ERRORS.NOT_HOST });
+    }
 
+    // A reconnecting host replaces its previous socket
     room.hostId = socket.id;
     room.hostSessionId = sessionId;
     socket.join(roomCode);
-    socket.roomCode = roomCode;
-    socket.isHost = true;
-    socket.emit('host-joined', { roomCode, puzzleCount: room.puzzles.length });
+    socket.data.roomCode = roomCode;
+    socket.data.isHost = true;
+    // Someone's back, so the room is no longer waiting to be cleaned up
+    cancelCleanup(roomCode);
+    persistRoom(room);
+    log.info('room.host_joined', { roomCode });
+    socket.emit('host-joined', hostSnapshot(room));
+  });
+
+  // Read-only big-screen display: gets every room broadcast, but is never a player
+  // and never receives host-only events such as round-answer
+  on('spectate', ({ roomCode }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return sendError(socket, 'ROOM_NOT_FOUND');
+
+    socket.join(roomCode);
+    socket.data.roomCode = roomCode;
+    socket.data.isSpectator = true;
+    log.debug('room.spectator_joined', { roomCode });
+    socket.emit('spectating', spectatorSnapshot(room));
   });
 
-  socket.on('join-room', ({ roomCode, playerName, sessionId }) => {
-    roomCode = roomCode.toUpperCase();
+  on('join-room', ({ roomCode, playerName, sessionId, teamId, avatar, color, profileToken }) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit('error-msg', { message: 'Room not found' });
-    if (room.state === 'setup') return socket.emit('error-msg', { message: 'Room is not ready yet' });
+    if (!room) return sendError(socket, 'ROOM_NOT_FOUND');
+    if (room.state === 'setup') return sendError(socket, 'ROOM_NOT_READY');
+    if (isBanned(room, socket, sessionId)) return sendError(socket, 'BANNED');
 
+    // A token that no longer signs in (signed out elsewhere) just means playing as a guest
+    const profile = profileToken ? profiles.profileForToken(profileStore, profileToken) : null;
     let playerId;
 
     // Check for session reconnection
@@ -196,136 +1371,228 @@ io.on('connection', (socket) => {
       if (existingPlayer) {
         existingPlayer.socketId = socket.id;
         existingPlayer.online = true;
-        existingPlayer.name = playerName || existingPlayer.name;
+        // The name stays the one the player joined with (or the host gave them)
+        existingPlayer.ip = socketIp(socket);
+        // Signing in after joining still counts this game
+        if (profile) linkProfile(room, playerId, profile);
         socket.join(roomCode);
-        socket.roomCode = roomCode;
-        socket.playerId = playerId;
-        socket.sessionId = sessionId;
+        cancelCleanup(roomCode);
+        socket.data.roomCode = roomCode;
+        socket.data.playerId = playerId;
+        socket.data.sessionId = sessionId;
+        log.info('player.rejoined', { roomCode, playerId });
 
         socket.emit('joined', {
           playerId,
           roomCode,
           playerName: existingPlayer.name,
+          avatar: existingPlayer.avatar,
+          color: existingPlayer.color,
           state: room.state,
           score: existingPlayer.score,
+          teamId: existingPlayer.teamId || null,
+          ...teams.teamsPayload(room),
+          profile: existingPlayer.profileId ? existingPlayer.profileName : null,
           restored: true
         });
 
-        // If game is in progress, send current round data
-        if (room.state === 'playing') {
-          const puzzle = room.puzzles[room.currentRound];
-          const elapsed = (Date.now() - room.roundStartTime) / 1000;
-          const remaining = Math.max(0, room.timePerRound - elapsed);
-          socket.emit('new-round', {
-            roundNum: room.currentRound + 1,
-            totalRounds: room.totalRounds,
-            image: puzzle.image,
-            timePerRound: room.timePerRound,
-            remainingTime: remaining
-          });
+        // Between rounds, show the results screen again
+        if (room.state === 'finished') {
+          socket.emit('game-over', gameOverPayload(room));
+        } else if (room.state === 'challenge') {
+          // Pick the run up where it was; its clock kept going meanwhile
+          sendRun(socket, room, playerId);
+        } else if (room.state === 'playing' && room.roundEndedAt) {
+          socket.emit('round-end', roundEndPayload(room));
+        } else if (room.state === 'playing') {
+          // If game is in progress, send current round data
+          socket.emit('new-round', roundPayload(room));
+          for (let i = room.hintsRevealed; i < hintsSeen(room, playerId); i++) {
+            socket.emit('hint', hintPayload(room, i));
+          }
           if (room.roundAnswered[playerId]) {
             socket.emit('already-answered', {});
           }
         }
 
-        io.to(roomCode).emit('leaderboard-update', getLeaderboard(room));
+        broadcastLeaderboard(room);
         io.to(roomCode).emit('player-joined', {
+          playerId,
           playerName: existingPlayer.name,
           playerCount: Object.values(room.players).filter(p => p.online).length,
-          players: Object.values(room.players).map(p => ({ name: p.name, online: p.online }))
+          players: playerList(room)
         });
         return;
       }
     }
 
     // New player
+    if (profanity.isProfane(playerName)) return sendError(socket, 'NAME_REJECTED');
+    if (isNameTaken(room, playerName)) {
+      return sendError(socket, 'NAME_TAKEN', { suggestions: suggestNames(room, playerName) });
+    }
+
     playerId = uuidv4().slice(0, 8);
     const newSessionId = sessionId || uuidv4();
     room.players[playerId] = {
       id: playerId,
       socketId: socket.id,
       name: playerName,
+      ...pickAppearance(room, { avatar, color }),
       score: 0,
+      matchTotal: 0,
       online: true,
-      guessedThisRound: false
+      guessedThisRound: false,
+      teamId: null,
+      ip: socketIp(socket)
     };
+    if (room.teams.length) {
+      const chosen = room.teams.find(t => t.id === teamId);
+      room.players[playerId].teamId = (chosen || teams.smallestTeam(room)).id;
+    }
+    if (profile) linkProfile(room, playerId, profile);
     room.sessions[newSessionId] = playerId;
+    persistRoom(room);
 
     socket.join(roomCode);
-    socket.roomCode = roomCode;
-    socket.playerId = playerId;
-    socket.sessionId = newSessionId;
+    cancelCleanup(roomCode);
+    socket.data.roomCode = roomCode;
+    socket.data.playerId = playerId;
+    socket.data.sessionId = newSessionId;
+    log.info('player.joined', { roomCode, playerId, playerCount: Object.keys(room.players).length });
 
     socket.emit('joined', {
       playerId,
       roomCode,
       playerName,
+      avatar: room.players[playerId].avatar,
+      color: room.players[playerId].color,
       sessionId: newSessionId,
       state: room.state,
       score: 0,
+      teamId: room.players[playerId].teamId,
+      ...teams.teamsPayload(room),
+      profile: room.players[playerId].profileId ? room.players[playerId].profileName : null,
       restored: false
     });
+    // Nothing to play until the host starts another game; show how the last one ended
+    if (room.state === 'finished') socket.emit('game-over', gameOverPayload(room));
+    if (room.state === 'challenge') sendRun(socket, room, playerId);
 
-    io.to(roomCode).emit('leaderboard-update', getLeaderboard(room));
+    broadcastLeaderboard(room);
     io.to(roomCode).emit('player-joined', {
+      playerId,
       playerName,
       playerCount: Object.values(room.players).filter(p => p.online).length,
-      players: Object.values(room.players).map(p => ({ name: p.name, online: p.online }))
+      players: playerList(room)
     });
   });
 
-  socket.on('start-game', ({ roomCode, rounds, timePerRound }) => {
-    const room = rooms.get(roomCode);
-    if (!room || socket.id !== room.hostId) return;
+  on('start-game', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'lobby' || !room.puzzles.length) return;
 
-    room.totalRounds = Math.min(rounds || room.puzzles.length, room.puzzles.length);
-    room.timePerRound = timePerRound || 30;
-    room.currentRound = 0;
+    prepareGame(room, payload);
     room.state = 'playing';
 
-    // Reset all scores
-    Object.values(room.players).forEach(p => { p.score = 0; p.guessedThisRound = false; });
-
+    log.info('game.started', {
+      roomCode: room.code,
+      rounds: room.totalRounds,
+      order: room.order,
+      scoring: room.scoring,
+      players: Object.keys(room.players).length
+    });
     startRound(room);
   });
 
-  socket.on('submit-guess', ({ roomCode, guess }) => {
+  // Instead of a live game: open for `hours`, starting `opensIn` minutes from now,
+  // for everyone to play at their own pace
+  on('start-challenge', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'lobby' || !room.puzzles.length) return;
+
+    prepareGame(room, payload);
+    room.state = 'challenge';
+    room.challenge = createChallenge(payload);
+    room.runs = {};
+    room.history = room.playOrder.map((index, i) => ({
+      roundNum: i + 1,
+      answer: room.puzzles[index].answer,
+      startedAt: room.challenge.opensAt,
+      endedAt: null,
+      skipped: false,
+      guesses: [],
+      playerCount: 0
+    }));
+    persistRoom(room);
+
+    log.info('challenge.started', {
+      roomCode: room.code,
+      rounds: room.totalRounds,
+      opensAt: new Date(room.challenge.opensAt).toISOString(),
+      closesAt: new Date(room.challenge.closesAt).toISOString(),
+      players: Object.keys(room.players).length
+    });
+    armChallengeTimer(room);
+    broadcastChallenge(room);
+  });
+
+  // Start a run, or go on to its next puzzle
+  on('challenge-next', ({ roomCode }) => {
     const room = rooms.get(roomCode);
-    if (!room || room.state !== 'playing') return;
+    const playerId = socket.data.playerId;
+    if (!room || room.state !== 'challenge' || !room.players[playerId]) return;
+    if (!isChallengeOpen(room.challenge)) return sendError(socket, 'CHALLENGE_NOT_OPEN');
 
-    const playerId = socket.playerId;
-    const player = room.players[playerId];
-    if (!player || room.roundAnswered[playerId]) return;
+    if (!room.runs[playerId]) {
+      room.runs[playerId] = createRun(uuidv4());
+      log.info('challenge.run_started', { roomCode, playerId });
+    }
+    const run = room.runs[playerId];
+    if (run.phase === 'round' || run.phase === 'done') return sendRun(socket, room, playerId);
+    if (run.phase === 'result') run.round++;
+    startRunRound(room, playerId);
+    broadcastChallenge(room);
+  });
 
-    const puzzle = room.puzzles[room.currentRound];
-    const result = checkGuess(guess, puzzle.answer);
+  on('submit-guess', ({ roomCode, guess }) => {
+    const room = rooms.get(roomCode);
+    if (room && room.state === 'challenge') return challengeGuess(socket, room, guess);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    if (room.pausedAt) return sendError(socket, 'PAUSED');
 
-    if (result.match === 'wrong') {
-      socket.emit('guess-result', { match: 'wrong', guess });
+    const playerId = socket.data.playerId;
+    const player = room.players[playerId];
+    if (!player || room.roundAnswered[playerId]) return;
+    const roundScore = room.roundScores[playerId] || { penalty: 0, hintCost: 0 };
+    const outcome = scoreGuess(socket, room, player, guess, {
+      puzzle: roundPuzzle(room),
+      record: room.history[room.history.length - 1],
+      elapsed: phaseElapsed(room),
+      timeRemaining: roundRemaining(room),
+      totalTime: roundDuration(room),
+      solverIndex: Object.values(room.roundScores).filter(r => r.match === 'correct').length,
+      roundScore,
+      solved: p => room.roundAnswered[p.id]
+    });
+    if (!outcome) return;
+    if (!outcome.breakdown) {
+      if (outcome.penalty > 0) room.roundScores[playerId] = roundScore;
+      persistRoom(room);
+      if (outcome.penalty > 0) broadcastLeaderboard(room);
       return;
     }
 
-    const elapsed = (Date.now() - room.roundStartTime) / 1000;
-    const remaining = Math.max(0, room.timePerRound - elapsed);
-    const score = calcScore(remaining, room.timePerRound, result.match, result.similarity);
-
-    player.score += score;
+    room.roundScores[playerId] = outcome.breakdown;
     player.guessedThisRound = true;
     room.roundAnswered[playerId] = true;
-
-    socket.emit('guess-result', {
-      match: result.match,
-      score,
-      totalScore: player.score,
-      answer: result.match === 'correct' ? puzzle.answer : null
-    });
-
-    io.to(roomCode).emit('leaderboard-update', getLeaderboard(room));
+    persistRoom(room);
+    broadcastLeaderboard(room);
 
     // Notify others someone guessed correctly
     io.to(roomCode).emit('player-guessed', {
-      playerName: player.name,
-      match: result.match
+      playerName: player.muted ? null : player.name,
+      match: outcome.breakdown.match
     });
 
     // Check if all online players have answered
@@ -336,125 +1603,1346 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('next-round', ({ roomCode }) => {
+  // ─── Hints ───
+
+  // Buy the next hint before it's revealed to everyone
+  on('request-hint', ({ roomCode }) => {
     const room = rooms.get(roomCode);
-    if (!room || socket.id !== room.hostId) return;
-    if (room.currentRound >= room.totalRounds - 1) {
-      endGame(room);
-    } else {
-      room.currentRound++;
-      startRound(room);
+    if (room && room.state === 'challenge') return challengeHint(socket, room);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    if (room.pausedAt) return sendError(socket, 'PAUSED');
+
+    const playerId = socket.data.playerId;
+    const player = room.players[playerId];
+    if (!player || room.roundAnswered[playerId]) return;
+
+    const hints = roundPuzzle(room).hints;
+    const level = hintsSeen(room, playerId);
+    if (level >= hints.length) return sendError(socket, 'NO_MORE_HINTS');
+    if (hints[level].cost === null) return sendError(socket, 'HINT_NOT_EARLY');
+
+    // The cost comes off whatever the player scores for this puzzle
+    const cost = hints[level].cost;
+    const roundScore = room.roundScores[playerId] || { penalty: 0, hintCost: 0 };
+    roundScore.hintCost -= cost;
+    room.roundScores[playerId] = roundScore;
+    room.roundHints[playerId] = level + 1;
+    persistRoom(room);
+
+    socket.emit('hint', { ...hintPayload(room, level), cost });
+  });
+
+  on('reveal-hint', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    if (room.hintsRevealed >= roundPuzzle(room).hints.length) return;
+    revealHint(room, room.hintsRevealed);
+  });
+
+  // ─── Moderation ───
+
+  on('kick-player', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || !room.players[payload.playerId]) return;
+    resolveFlags(room, payload.playerId, 'kicked');
+    kickPlayer(room, payload.playerId);
+  });
+
+  on('ban-player', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || !room.players[payload.playerId]) return;
+    resolveFlags(room, payload.playerId, 'kicked');
+    banPlayer(room, payload.playerId, payload.banIp);
+  });
+
+  on('rename-player', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || !room.players[payload.playerId]) return;
+    if (profanity.isProfane(payload.playerName)) return sendError(socket, 'NAME_REJECTED');
+    if (isNameTaken(room, payload.playerName, payload.playerId)) {
+      return sendError(socket, 'NAME_TAKEN', { suggestions: suggestNames(room, payload.playerName) });
     }
+    renamePlayer(room, payload.playerId, payload.playerName);
   });
 
-  socket.on('disconnect', () => {
-    const roomCode = socket.roomCode;
+  on('mute-player', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || !room.players[payload.playerId]) return;
+    mutePlayer(room, payload.playerId, payload.muted);
+  });
+
+  // ─── Anti-Cheat Actions ───
+
+  on('ignore-score', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || !room.players[payload.playerId]) return;
+    ignoreScore(room, payload.playerId);
+    resolveFlags(room, payload.playerId, 'ignored');
+  });
+
+  on('dismiss-flag', (payload) => {
+    const room = getHostRoom(socket, payload);
+    const flag = room && room.flags.find(f => f.id === payload.flagId);
+    if (!flag) return;
+    flag.resolution = 'dismissed';
+    persistRoom(room);
+    socket.emit('flags-update', room.flags);
+  });
+
+  // ─── Teams ───
+
+  // Host defines the teams in the lobby; an empty list turns team mode off
+  on('set-teams', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'lobby') return;
+    room.teams = teams.createTeams(payload.names || []);
+    room.teamScoring = payload.teamScoring || 'sum';
+    if (room.teams.length) teams.assignUnassigned(room);
+    else Object.values(room.players).forEach(p => { p.teamId = null; });
+    persistRoom(room);
+    broadcastTeams(room);
+  });
+
+  on('balance-teams', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'lobby' || !room.teams.length) return;
+    teams.balanceTeams(room);
+    persistRoom(room);
+    broadcastTeams(room);
+  });
+
+  on('assign-team', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'lobby') return;
+    const player = room.players[payload.playerId];
+    if (!player || !room.teams.some(t => t.id === payload.teamId)) return;
+    player.teamId = payload.teamId;
+    persistRoom(room);
+    broadcastTeams(room);
+  });
+
+  // Players may switch teams themselves until the game starts
+  on('choose-team', ({ roomCode, teamId }) => {
+    const room = rooms.get(roomCode);
+    const player = room && room.players[socket.data.playerId];
+    if (!player || room.state !== 'lobby' || !room.teams.some(t => t.id === teamId)) return;
+    player.teamId = teamId;
+    persistRoom(room);
+    broadcastTeams(room);
+  });
+
+  on('next-round', ({ roomCode, hostToken }) => {
+    const room = getHostRoom(socket, { roomCode, hostToken });
+    if (!room || room.state !== 'playing') return;
+    advanceRound(room);
+  });
+
+  // ─── Host Controls ───
+
+  on('pause-game', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || room.pausedAt) return;
+    clearTimers(room);
+    room.pausedAt = Date.now();
+    persistRoom(room);
+    log.info('game.paused', { roomCode: room.code, round: room.currentRound + 1 });
+    io.to(room.code).emit('round-timer', timerPayload(room));
+  });
+
+  on('resume-game', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || !room.pausedAt) return;
+    room.pausedTotal += Date.now() - room.pausedAt;
+    room.pausedAt = null;
+    if (room.roundEndedAt) armAdvanceTimer(room);
+    else armRoundTimers(room);
+    persistRoom(room);
+    log.info('game.resumed', { roomCode: room.code, round: room.currentRound + 1 });
+    io.to(room.code).emit('round-timer', timerPayload(room));
+  });
+
+  on('extend-time', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    const seconds = payload.seconds || 15;
+    room.roundExtension += seconds;
+    if (!room.pausedAt) {
+      clearTimers(room);
+      armRoundTimers(room);
+    }
+    persistRoom(room);
+    io.to(room.code).emit('round-timer', timerPayload(room));
+  });
+
+  // Drop the current puzzle without revealing it (e.g. a broken image)
+  on('skip-round', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    const record = room.history[room.history.length - 1];
+    if (record) record.skipped = true;
+    log.info('round.skipped', { roomCode: room.code, round: room.currentRound + 1 });
+    io.to(room.code).emit('round-skipped', { roundNum: room.currentRound + 1 });
+    advanceRound(room);
+  });
+
+  // End the round early and reveal the answer
+  on('end-round', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'playing' || room.roundEndedAt) return;
+    endRound(room);
+  });
+
+  on('end-game', (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || (room.state !== 'playing' && room.state !== 'challenge')) return;
+    endGame(room);
+  });
+
+  on('play-again', async (payload) => {
+    const room = getHostRoom(socket, payload);
+    if (!room || room.state !== 'finished' || room.loadingPack) return;
+    if (payload.packId) {
+      room.loadingPack = true;
+      try {
+        await loadPackIntoRoom(room, payload.packId);
+      } catch (err) {
+        if (!err.code) log.error('room.pack_load_failed', { roomCode: room.code, packId: payload.packId, err });
+        return sendError(socket, err.code || 'SERVER_ERROR', err.code === 'INVALID_PAYLOAD' ? { message: err.message } : {});
+      } finally {
+        room.loadingPack = false;
+      }
+    }
+
+    resetGame(room);
+    persistRoom(room, { puzzles: !!payload.packId });
+    log.info('game.reset', { roomCode: room.code, packId: payload.packId || null, gamesPlayed: room.gamesPlayed });
+    io.to(room.code).emit('back-to-lobby', {
+      puzzleCount: room.puzzles.length,
+      timedPuzzles: room.puzzles.filter(p => p.timeLimit).length,
+      playerCount: Object.values(room.players).filter(p => p.online).length,
+      players: playerList(room),
+      gamesPlayed: room.gamesPlayed,
+      matchLeaderboard: getMatchLeaderboard(room)
+    });
+    broadcastLeaderboard(room);
+  });
+
+  on('disconnect', () => {
+    guessLimiter.forget(socket.id);
+    const roomCode = socket.data.roomCode;
     if (!roomCode) return;
     const room = rooms.get(roomCode);
     if (!room) return;
 
-    const playerId = socket.playerId;
+    const playerId = socket.data.playerId;
     if (playerId && room.players[playerId]) {
       room.players[playerId].online = false;
       room.players[playerId].socketId = null;
+      log.info('player.left', { roomCode, playerId });
       io.to(roomCode).emit('player-left', {
+        playerId,
         playerName: room.players[playerId].name,
         playerCount: Object.values(room.players).filter(p => p.online).length,
-        players: Object.values(room.players).map(p => ({ name: p.name, online: p.online }))
+        players: playerList(room)
       });
-      io.to(roomCode).emit('leaderboard-update', getLeaderboard(room));
+      broadcastLeaderboard(room);
     }
 
-    // If host disconnects, transfer host
-    if (socket.isHost) {
-      const onlinePlayer = Object.values(room.players).find(p => p.online);
-      if (onlinePlayer) {
-        room.hostId = onlinePlayer.socketId;
-        io.to(onlinePlayer.socketId).emit('host-promoted', {});
-      }
+    // Host authority stays with the token; the host can reconnect via host-join
+    if (socket.data.isHost && room.hostId === socket.id) {
+      room.hostId = null;
+      log.info('room.host_left', { roomCode });
     }
 
-    // Cleanup empty rooms after 10 minutes
+    // Delete the room once it has sat empty for settings.cleanupMinutes
     const onlineCount = Object.values(room.players).filter(p => p.online).length;
     if (onlineCount === 0 && !room.hostId) {
-      setTimeout(() => {
-        const r = rooms.get(roomCode);
-        if (r && Object.values(r.players).filter(p => p.online).length === 0) {
-          clearTimers(r);
-          rooms.delete(roomCode);
-        }
-      }, 10 * 60 * 1000);
+      scheduleCleanup(roomCode);
     }
   });
-});
+
+  return handlers;
+}
+
+// ─── Room Ownership ───
+// With several processes (see cluster.js) each room lives in exactly one of them,
+// the holder of its lease (lib/room-leases.js). Client events and REST actions for a
+// room are forwarded there, so its state has one writer and its round timers fire
+// once. If the owner goes away its lease lapses and another process restores the
+// room from the shared store; clients connected elsewhere carry on as they were.
+
+const LEASE_RENEW_INTERVAL = 5000;
+
+// socket id → socket.data of clients connected to other processes, kept by the
+// process owning their room so it sees its own latest changes
+const remoteSocketData = new Map();
+
+// Whether this process handles the room: it owns it, or nobody does and it could
+// take it over (a room that doesn't exist is handled here, by saying so)
+function isLocalRoom(code) {
+  if (!clustered || rooms.has(code)) return true;
+  const owner = leases.owner(code);
+  if (owner && owner !== NODE_ID) return false;
+  return adoptRoom(code) || !leases.owner(code);
+}
+
+function adoptRoom(code) {
+  const snapshot = roomStore.load(code);
+  if (!snapshot || !leases.claim(code, NODE_ID)) return false;
+  reattachSockets(restoreRoom(snapshot));
+  log.info('room.adopted', { roomCode: code });
+  return true;
+}
+
+// A restored room starts with everyone offline; find the clients still connected to
+// other processes so they don't have to rejoin
+async function reattachSockets(room) {
+  let sockets;
+  try {
+    sockets = await io.in(room.code).fetchSockets();
+  } catch (err) {
+    return;
+  }
+  if (rooms.get(room.code) !== room) return;
+  sockets.filter(s => s.data.roomCode === room.code).forEach(s => {
+    const player = room.players[s.data.playerId];
+    if (player) {
+      player.online = true;
+      player.socketId = s.id;
+    }
+    if (s.data.isHost) room.hostId = s.id;
+    if (!io.sockets.sockets.has(s.id)) remoteSocketData.set(s.id, { ...s.data });
+  });
+  broadcastLeaderboard(room);
+}
+
+// Our lease lapsed and another process has the room now; stop running it here
+function dropRoom(code) {
+  const room = rooms.get(code);
+  if (room) clearTimers(room);
+  cancelCleanup(code);
+  rooms.delete(code);
+  forgetRemoteSockets(code);
+  log.warn('room.lost', { roomCode: code });
+}
+
+function forgetRemoteSockets(code) {
+  remoteSocketData.forEach((data, id) => {
+    if (data.roomCode === code) remoteSocketData.delete(id);
+  });
+}
+
+// Keep our rooms' leases alive, and take over rooms whose owner has gone away
+setInterval(() => {
+  try {
+    rooms.forEach((room, code) => {
+      if (!leases.renew(code, NODE_ID)) dropRoom(code);
+    });
+    if (clustered) leases.expired(roomStore.codes()).forEach(adoptRoom);
+  } catch (err) {
+    log.error('lease.renew_failed', { err });
+  }
+}, LEASE_RENEW_INTERVAL).unref();
+
+function dispatchEvent(socket, handlers, event, payload) {
+  const started = performance.now();
+  const done = () => metric.eventDuration.observe({ event }, (performance.now() - started) / 1000);
+  if (!isLocalRoom(payload.roomCode)) return forwardEvent(socket, event, payload, done);
+  let result;
+  try {
+    result = handlers[event](payload);
+  } catch (err) {
+    // One bad event mustn't take down every other room in this process
+    log.error('socket.event_failed', { roomCode: payload.roomCode, event, err });
+    if (event !== 'disconnect') sendError(socket, 'SERVER_ERROR');
+    return done();
+  }
+  if (result && result.then) {
+    result.then(done, err => {
+      log.error('socket.event_failed', { roomCode: payload.roomCode, event, err });
+      if (event !== 'disconnect') sendError(socket, 'SERVER_ERROR');
+      done();
+    });
+  } else {
+    done();
+  }
+}
+
+// Run a client's event in the process owning its room, then take back whatever the
+// handler changed in socket.data. The adapter gives up on replies after 5 seconds.
+function forwardEvent(socket, event, payload, done) {
+  const client = { id: socket.id, ip: socketIp(socket), data: socket.data };
+  io.serverSideEmit('room-event', { event, payload, client }, (err, replies) => {
+    const reply = (replies || []).find(Boolean);
+    if (reply) Object.assign(socket.data, reply.data);
+    else if (event !== 'disconnect') sendError(socket, 'ROOM_UNAVAILABLE');
+    done();
+  });
+}
+
+// Stands in for a socket connected to another process: emits and room membership
+// go through the adapter
+function remoteSocket({ id, ip, data }) {
+  // What we know is newer, unless the client has since moved on to another room
+  const known = remoteSocketData.get(id);
+  const current = known && (!data.roomCode || known.roomCode === data.roomCode);
+  return {
+    id,
+    data: current ? { ...data, ...known } : { ...data },
+    handshake: { address: ip, headers: {} },
+    emit: (...args) => io.to(id).emit(...args),
+    join: room => io.in(id).socketsJoin(room),
+    leave: room => io.in(id).socketsLeave(room)
+  };
+}
+
+// Change socket.data of a client that may be connected to another process
+function updateSocketData(id, data) {
+  const local = io.sockets.sockets.get(id);
+  if (local) return Object.assign(local.data, data);
+  if (remoteSocketData.has(id)) Object.assign(remoteSocketData.get(id), data);
+  if (clustered) io.serverSideEmit('socket-data', { id, data });
+}
+
+// Run one of ROOM_ACTIONS where the room lives. Resolves to its result, or null if
+// there is no such room; rejects with ROOM_UNAVAILABLE if the owner doesn't answer.
+function runRoomAction(roomCode, action, args = {}) {
+  if (isLocalRoom(roomCode)) {
+    const room = rooms.get(roomCode);
+    return Promise.resolve(room ? ROOM_ACTIONS[action](room, args) : null);
+  }
+  return new Promise((resolve, reject) => {
+    io.serverSideEmit('room-action', { roomCode, action, args }, (err, replies) => {
+      const reply = (replies || []).find(Boolean);
+      if (reply) return resolve(reply.result);
+      reject(Object.assign(new Error(`No process answered for room ${roomCode}`), { code: 'ROOM_UNAVAILABLE' }));
+    });
+  });
+}
+
+// Every process hears these; only the room's owner answers
+if (clustered) {
+  io.on('room-event', async ({ event, payload, client }, reply) => {
+    if (!rooms.has(payload.roomCode)) return reply(null);
+    const socket = remoteSocket(client);
+    try {
+      await roomHandlers(socket)[event](payload);
+    } catch (err) {
+      log.error('socket.event_failed', { roomCode: payload.roomCode, event, err });
+    }
+    if (event === 'disconnect') remoteSocketData.delete(socket.id);
+    else remoteSocketData.set(socket.id, socket.data);
+    reply({ data: socket.data });
+  });
+
+  io.on('room-action', ({ roomCode, action, args }, reply) => {
+    const room = rooms.get(roomCode);
+    reply(room ? { result: ROOM_ACTIONS[action](room, args) } : null);
+  });
+
+  io.on('metrics', reply => reply(metrics.snapshot()));
+
+  io.on('admin-rooms', reply => reply(adminRoomList()));
+
+  io.on('settings-changed', applySettings);
+
+  io.on('socket-data', ({ id, data }) => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) Object.assign(socket.data, data);
+    if (remoteSocketData.has(id)) Object.assign(remoteSocketData.get(id), data);
+  });
+}
 
 // ─── Game Flow ───
 
+// The host's settings and fresh scores, for a live game or a challenge
+function prepareGame(room, { rounds, timePerRound, scoring, order, randomSubset }) {
+  room.order = order || 'upload';
+  room.randomSubset = !!randomSubset;
+  room.playOrder = buildPlayOrder(room.puzzles, { rounds, order: room.order, randomSubset: room.randomSubset });
+  room.totalRounds = room.playOrder.length;
+  room.timePerRound = timePerRound || 30;
+  room.scoring = scoring || 'classic';
+  room.currentRound = 0;
+  room.gameStartedAt = Date.now();
+  room.history = [];
+
+  // Reset all scores
+  Object.values(room.players).forEach(p => { p.score = 0; p.streak = 0; p.guessedThisRound = false; p.scoreIgnored = false; p.teamFirstPoints = 0; });
+  room.teams.forEach(t => { t.firstScore = 0; });
+  room.flags = [];
+}
+
 function startRound(room) {
-  const puzzle = room.puzzles[room.currentRound];
+  const puzzle = roundPuzzle(room);
   room.roundStartTime = Date.now();
+  room.roundEndedAt = null;
+  room.roundExtension = 0;
+  room.pausedAt = null;
+  room.pausedTotal = 0;
   room.roundAnswered = {};
+  room.roundScores = {};
+  room.hintsRevealed = 0;
+  room.roundHints = {};
   Object.values(room.players).forEach(p => { p.guessedThisRound = false; });
+  room.history.push({
+    roundNum: room.currentRound + 1,
+    answer: puzzle.answer,
+    startedAt: room.roundStartTime,
+    endedAt: null,
+    skipped: false,
+    guesses: []
+  });
 
   clearTimers(room);
+  persistRoom(room);
+  log.info('round.started', { roomCode: room.code, round: room.currentRound + 1, timeLimit: roundTimeLimit(room) });
+
+  io.to(room.code).emit('new-round', roundPayload(room));
+  if (room.hostId) {
+    io.to(room.hostId).emit('round-answer', {
+      roundNum: room.currentRound + 1,
+      answer: puzzle.answer,
+      alternates: puzzle.alternates || [],
+      hints: puzzle.hints,
+      hintsRevealed: room.hintsRevealed
+    });
+  }
 
-  io.to(room.code).emit('new-round', {
+  broadcastLeaderboard(room);
+
+  armRoundTimers(room);
+}
+
+// A player's guess at a puzzle, for live rounds and challenge runs alike. `round`
+// holds what differs between the two:
+//   puzzle, record                the puzzle guessed at and the history record it's kept in
+//   elapsed                       ms into the player's round
+//   timeRemaining, totalTime      seconds, for the time bonus
+//   solverIndex                   players who solved it first (null when everyone plays alone)
+//   roundScore                    { penalty, hintCost } so far; misses add to the penalty
+//   solved(p)                     whether teammate p has already solved it
+// Answers the player with guess-result and returns { breakdown } for an accepted
+// answer, { penalty } for a miss, or null if the guess was refused. Callers persist.
+function scoreGuess(socket, room, player, guess, round) {
+  if (!guessLimiter.take(socket.id)) {
+    sendError(socket, 'RATE_LIMITED');
+    return null;
+  }
+  const now = Date.now();
+  if (player.guessCooldownUntil > now) {
+    sendError(socket, 'GUESS_COOLDOWN', { retryAfter: player.guessCooldownUntil - now });
+    return null;
+  }
+
+  const rules = getScoringRules(room.scoring);
+  const result = checkGuess(guess, round.puzzle);
+  metric.guesses.inc({ match: result.match });
+  const { roundScore, record, elapsed } = round;
+
+  if (result.match === 'wrong' || (result.match === 'partial' && !rules.partialCredit)) {
+    // Penalties never push a total below zero
+    const penalty = Math.min(rules.wrongGuessPenalty, player.score);
+    if (penalty > 0) {
+      player.score -= penalty;
+      roundScore.penalty -= penalty;
+    }
+    // Misses cool down so typo tolerance can't be brute-forced
+    player.guessCooldownUntil = now + WRONG_GUESS_COOLDOWN;
+    recordGuess(room, player, guess, result, { points: -penalty, accepted: false, record, elapsed });
+    socket.emit('guess-result', { match: 'wrong', guess, penalty, totalScore: player.score, cooldown: WRONG_GUESS_COOLDOWN });
+    return { penalty };
+  }
+
+  if (result.match === 'correct') player.streak = (player.streak || 0) + 1;
+  const scored = scoreAnswer(rules, {
+    timeRemaining: round.timeRemaining,
+    totalTime: round.totalTime,
+    match: result.match,
+    similarity: result.similarity,
+    solverIndex: round.solverIndex,
+    streak: player.streak || 0
+  });
+  // Players whose score the host ignores can keep playing but never score
+  const score = player.scoreIgnored ? 0 : Math.max(0, scored.points + roundScore.hintCost);
+
+  // "first" team scoring: only the first teammate to solve the puzzle scores for the team
+  const team = room.teams.find(t => t.id === player.teamId);
+  if (team && room.teamScoring === 'first' && !player.scoreIgnored) {
+    const teammateSolved = teams.teamMembers(room, team.id)
+      .some(p => p.id !== player.id && !p.scoreIgnored && round.solved(p));
+    if (!teammateSolved) {
+      team.firstScore += score;
+      player.teamFirstPoints = (player.teamFirstPoints || 0) + score;
+    }
+  }
+
+  const breakdown = {
+    ...scored,
+    match: result.match,
+    penalty: roundScore.penalty,
+    hintCost: roundScore.hintCost,
+    total: score + roundScore.penalty
+  };
+  player.score += score;
+  const entry = recordGuess(room, player, guess, result, { points: score, accepted: true, record, elapsed });
+  if (entry) detectCheating(record, entry).forEach(f => addFlag(room, f, record.roundNum));
+
+  // The answer text itself stays secret until round-end so it can't be relayed
+  socket.emit('guess-result', { match: result.match, score, totalScore: player.score, breakdown });
+  return { breakdown };
+}
+
+// ─── Round Clock ───
+// The current phase (a round, or the results screen after it) starts at roundStartTime
+// or roundEndedAt; time spent paused doesn't count towards it.
+
+function phaseElapsed(room) {
+  const start = room.roundEndedAt || room.roundStartTime;
+  return (room.pausedAt || Date.now()) - start - (room.pausedTotal || 0);
+}
+
+// Seconds the current puzzle gets: its own time limit, or the game's setting
+function roundTimeLimit(room) {
+  return roundPuzzle(room).timeLimit || room.timePerRound;
+}
+
+// Seconds, including any time the host added
+function roundDuration(room) {
+  return roundTimeLimit(room) + (room.roundExtension || 0);
+}
+
+function roundRemaining(room) {
+  return Math.max(0, roundDuration(room) - phaseElapsed(room) / 1000);
+}
+
+function intermissionDelay(room) {
+  return room.currentRound < room.totalRounds - 1 ? NEXT_ROUND_DELAY : GAME_OVER_DELAY;
+}
+
+// roundStartTime is shifted by paused time so clients can keep computing
+// remaining = timePerRound - (serverTime - roundStartTime)
+function roundPayload(room) {
+  const puzzle = roundPuzzle(room);
+  const now = Date.now();
+  return {
     roundNum: room.currentRound + 1,
     totalRounds: room.totalRounds,
-    image: puzzle.image,
+    ...puzzleView(room, room.currentRound),
+    timePerRound: roundDuration(room),
+    remainingTime: roundRemaining(room),
+    serverTime: now,
+    roundStartTime: now - phaseElapsed(room),
+    paused: !!room.pausedAt,
+    hints: puzzle.hints.slice(0, room.hintsRevealed).map((h, i) => hintPayload(room, i)),
+    hintCosts: puzzle.hints.map(h => h.cost)
+  };
+}
+
+// ─── Hint Reveals ───
+
+// How many hints a player has seen: everything revealed so far, plus any bought early
+function hintsSeen(room, playerId) {
+  return Math.max(room.hintsRevealed, room.roundHints[playerId] || 0);
+}
+
+function hintPayload(room, index) {
+  return puzzleHint(roundPuzzle(room), index);
+}
+
+function puzzleHint(puzzle, index) {
+  return { level: index + 1, total: puzzle.hints.length, text: puzzle.hints[index].text };
+}
+
+// Reveal every hint up to and including `index` to the whole room
+function revealHint(room, index) {
+  const from = room.hintsRevealed;
+  if (index < from) return;
+  room.hintsRevealed = index + 1;
+  persistRoom(room);
+  for (let i = from; i <= index; i++) {
+    io.to(room.code).emit('hint', hintPayload(room, i));
+  }
+}
+
+// Sent whenever the host pauses, resumes or extends so client timers stay in sync
+function timerPayload(room) {
+  if (room.roundEndedAt) {
+    return {
+      phase: 'intermission',
+      paused: !!room.pausedAt,
+      remainingTime: Math.max(0, intermissionDelay(room) - phaseElapsed(room)) / 1000
+    };
+  }
+  return {
+    phase: 'round',
+    paused: !!room.pausedAt,
+    timePerRound: roundDuration(room),
+    remainingTime: roundRemaining(room)
+  };
+}
+
+// Everything host.html needs to rebuild its lobby or dashboard after a refresh
+function hostSnapshot(room) {
+  const snapshot = {
+    roomCode: room.code,
+    state: room.state,
+    puzzleCount: room.puzzles.length,
+    totalRounds: room.totalRounds,
     timePerRound: room.timePerRound,
-    serverTime: Date.now(),
-    roundStartTime: room.roundStartTime
-  });
+    timedPuzzles: room.puzzles.filter(p => p.timeLimit).length,
+    scoring: room.scoring,
+    paused: !!room.pausedAt,
+    playerCount: Object.values(room.players).filter(p => p.online).length,
+    players: playerList(room),
+    leaderboard: getLeaderboard(room),
+    ...teams.teamsPayload(room),
+    teamLeaderboard: teams.getTeamLeaderboard(room),
+    flags: room.flags
+  };
+  if (room.state === 'challenge') snapshot.challenge = challengeStatus(room);
+  if (room.state === 'finished') {
+    snapshot.gameOver = gameOverPayload(room);
+  } else if (room.state === 'playing' && room.roundEndedAt) {
+    snapshot.roundEnd = roundEndPayload(room);
+    const record = room.history[room.history.length - 1];
+    if (record && !record.skipped) snapshot.roundStats = roundStats(record);
+  } else if (room.state === 'playing') {
+    const puzzle = roundPuzzle(room);
+    snapshot.round = {
+      ...roundPayload(room),
+      answer: puzzle.answer,
+      alternates: puzzle.alternates || [],
+      allHints: puzzle.hints,
+      hintsRevealed: room.hintsRevealed,
+      guessedCount: Object.keys(room.roundAnswered).length
+    };
+  }
+  return snapshot;
+}
 
-  io.to(room.code).emit('leaderboard-update', getLeaderboard(room));
+// Everything display.html needs to show the room as it is; mid-round it has no answer
+function spectatorSnapshot(room) {
+  const snapshot = {
+    roomCode: room.code,
+    state: room.state,
+    totalRounds: room.totalRounds,
+    playerCount: Object.values(room.players).filter(p => p.online).length,
+    players: playerList(room),
+    leaderboard: getLeaderboard(room),
+    ...teams.teamsPayload(room),
+    teamLeaderboard: teams.getTeamLeaderboard(room)
+  };
+  if (room.state === 'challenge') snapshot.challenge = challengeStatus(room);
+  if (room.state === 'finished') {
+    snapshot.gameOver = gameOverPayload(room);
+  } else if (room.state === 'playing' && room.roundEndedAt) {
+    snapshot.roundEnd = roundEndPayload(room);
+  } else if (room.state === 'playing') {
+    snapshot.round = { ...roundPayload(room), guessedCount: Object.keys(room.roundAnswered).length };
+  }
+  return snapshot;
+}
+
+// Timers are derived from roundStartTime so they can be re-armed after a restart
+function armRoundTimers(room) {
+  const puzzle = roundPuzzle(room);
+  const elapsed = phaseElapsed(room);
 
-  // Single hint at 60% time elapsed (first character only)
-  const hintTimer = setTimeout(() => {
-    io.to(room.code).emit('hint', { level: 1, text: puzzle.hints.hint1 });
-  }, room.timePerRound * 600);
+  // Each hint not yet revealed goes out at its share of the round (extensions excluded)
+  room.hintTimers = puzzle.hints
+    .map((hint, i) => ({ i, at: roundTimeLimit(room) * hint.revealAt * 10 }))
+    .filter(({ i }) => i >= room.hintsRevealed)
+    .map(({ i, at }) => roomTimer('hint', () => revealHint(room, i), Math.max(0, at - elapsed)));
 
   // Round end
-  const roundTimer = setTimeout(() => {
+  room.roundTimer = roomTimer('round', () => {
     endRound(room);
-  }, room.timePerRound * 1000);
+  }, Math.max(0, roundDuration(room) * 1000 - elapsed));
+}
 
-  room.hintTimers = [hintTimer];
-  room.roundTimer = roundTimer;
+// setTimeout that records how late it fired, for rebus_timer_drift_seconds
+function roomTimer(timer, fn, delay) {
+  const due = Date.now() + delay;
+  return setTimeout(() => {
+    metric.timerDrift.observe({ timer }, Math.max(0, Date.now() - due) / 1000);
+    fn();
+  }, delay);
 }
 
 function endRound(room) {
   clearTimers(room);
+  room.roundEndedAt = Date.now();
+  const record = room.history[room.history.length - 1];
+  if (record) {
+    record.endedAt = room.roundEndedAt;
+    record.playerCount = Object.values(room.players).filter(p => p.online).length;
+    metric.roundDuration.observe({}, (record.endedAt - record.startedAt) / 1000);
+  }
+  room.pausedAt = null;
+  room.pausedTotal = 0;
 
-  const puzzle = room.puzzles[room.currentRound];
-  io.to(room.code).emit('round-end', {
+  // Streaks only survive rounds solved correctly
+  Object.values(room.players).forEach(p => {
+    if ((room.roundScores[p.id] || {}).match !== 'correct') p.streak = 0;
+  });
+  persistRoom(room);
+  log.info('round.ended', {
+    roomCode: room.code,
+    round: room.currentRound + 1,
+    durationMs: record ? record.endedAt - record.startedAt : null,
+    guesses: record ? record.guesses.length : 0,
+    solved: Object.values(room.roundScores).filter(r => r.match === 'correct').length
+  });
+
+  io.to(room.code).emit('round-end', roundEndPayload(room));
+  if (room.hostId && record) {
+    io.to(room.hostId).emit('round-stats', { roundNum: record.roundNum, stats: roundStats(record) });
+  }
+
+  armAdvanceTimer(room);
+}
+
+function roundEndPayload(room) {
+  const puzzle = roundPuzzle(room);
+  const isLastRound = room.currentRound >= room.totalRounds - 1;
+  const remaining = Math.max(0, intermissionDelay(room) - phaseElapsed(room));
+  return {
     correctAnswer: puzzle.answer,
     roundNum: room.currentRound + 1,
     totalRounds: room.totalRounds,
     leaderboard: getLeaderboard(room),
-    isLastRound: room.currentRound >= room.totalRounds - 1,
-    nextRoundIn: room.currentRound < room.totalRounds - 1 ? 5 : 0
-  });
+    isLastRound,
+    roundScores: room.roundScores,
+    teamLeaderboard: teams.getTeamLeaderboard(room),
+    nextRoundIn: isLastRound ? 0 : Math.ceil(remaining / 1000),
+    nextImage: isLastRound ? null : puzzleImageUrl(room, room.currentRound + 1),
+    paused: !!room.pausedAt
+  };
+}
+
+// Auto-advance after 5 seconds, or end the game 3 seconds after the last round
+function armAdvanceTimer(room) {
+  room.roundTimer = roomTimer('intermission', () => {
+    advanceRound(room);
+  }, Math.max(0, intermissionDelay(room) - phaseElapsed(room)));
+}
 
-  // Auto-advance after 5 seconds if not last round
-  if (room.currentRound < room.totalRounds - 1) {
-    room.roundTimer = setTimeout(() => {
-      room.currentRound++;
-      startRound(room);
-    }, 5000);
+function advanceRound(room) {
+  clearTimers(room);
+  if (room.currentRound >= room.totalRounds - 1) {
+    endGame(room);
   } else {
-    // Auto end game after 3 seconds
-    room.roundTimer = setTimeout(() => {
-      endGame(room);
-    }, 3000);
+    room.currentRound++;
+    startRound(room);
   }
 }
 
 function endGame(room) {
   clearTimers(room);
+  // A challenge's rounds all close with it; runs still going stay unranked
+  if (room.state === 'challenge') room.history.forEach(r => { if (!r.endedAt) r.endedAt = Date.now(); });
   room.state = 'finished';
-  io.to(room.code).emit('game-over', {
-    leaderboard: getLeaderboard(room)
+  room.roundEndedAt = null;
+  room.pausedAt = null;
+  room.gamesPlayed = (room.gamesPlayed || 0) + 1;
+  Object.values(room.players).forEach(p => {
+    p.matchTotal = (p.matchTotal || 0) + (p.scoreIgnored ? 0 : p.score);
+  });
+  persistRoom(room);
+  saveResults(room);
+  recordProfileStats(room);
+  log.info('game.ended', { roomCode: room.code, gameNumber: room.gamesPlayed, rounds: room.history.length, players: Object.keys(room.players).length });
+  io.to(room.code).emit('game-over', gameOverPayload(room));
+  if (room.challenge && !room.hostId && !Object.values(room.players).some(p => p.online)) scheduleCleanup(room.code);
+}
+
+// Every game's scores added up, for rooms that have played more than one
+function getMatchLeaderboard(room) {
+  return Object.values(room.players)
+    .map(p => ({ id: p.id, name: p.name, avatar: p.avatar, color: p.color, online: p.online, matchTotal: p.matchTotal || 0 }))
+    .sort((a, b) => b.matchTotal - a.matchTotal);
+}
+
+function gameOverPayload(room) {
+  return {
+    // A challenge ranks completed runs only
+    leaderboard: room.challenge ? rankRuns(room) : getLeaderboard(room),
+    challenge: room.challenge ? { unfinished: Object.values(room.runs).filter(r => r.phase !== 'done').length } : null,
+    teamLeaderboard: teams.getTeamLeaderboard(room),
+    gamesPlayed: room.gamesPlayed || 0,
+    matchLeaderboard: getMatchLeaderboard(room)
+  };
+}
+
+// ─── Play Again ───
+// A finished room goes back to the lobby with the same players, sessions, teams
+// and bans; only the last game's progress is cleared. Match totals carry on.
+
+function resetGame(room) {
+  clearTimers(room);
+  Object.assign(room, {
+    state: 'lobby',
+    currentRound: 0,
+    totalRounds: room.puzzles.length,
+    playOrder: null,
+    roundStartTime: null,
+    roundEndedAt: null,
+    roundExtension: 0,
+    pausedAt: null,
+    pausedTotal: 0,
+    roundAnswered: {},
+    roundScores: {},
+    hintsRevealed: 0,
+    roundHints: {},
+    gameStartedAt: null,
+    history: [],
+    flags: [],
+    challenge: null,
+    runs: {}
+  });
+  Object.values(room.players).forEach(p => {
+    Object.assign(p, { score: 0, streak: 0, guessedThisRound: false, scoreIgnored: false, teamFirstPoints: 0 });
+  });
+  room.teams.forEach(t => { t.firstScore = 0; });
+}
+
+// Swap in a library pack's puzzles; the old images go only once the new ones are stored
+async function loadPackIntoRoom(room, packId) {
+  const packPuzzles = library.loadPuzzles(packId);
+  if (!packPuzzles) throw Object.assign(new Error('Pack not found'), { code: 'PACK_NOT_FOUND' });
+  if (packPuzzles.length === 0) throw Object.assign(new Error('Puzzle pack is empty'), { code: 'INVALID_PAYLOAD' });
+  const imageKeys = await storeRoomImages(room.code, packPuzzles.filter(p => p.imageData).map(p => p.imageData));
+  room.puzzles.forEach(p => { if (p.image) imageStore.remove(p.image); });
+  room.puzzles = packPuzzles.map(({ imageData, ...p }) => ({ ...p, image: imageData ? imageKeys.shift() : null, hints: buildHints(p) }));
+  room.packId = packId;
+}
+
+// ─── Challenge Mode ───
+// The same puzzles and scoring as a live game, but each player has their own clock:
+// a run's puzzle goes up when the player asks for it and times out on the server
+// whether or not they stay connected. Order bonuses don't apply, since nobody plays
+// at the same time; the window closing ends the game, ranking completed runs only.
+
+function challengeStatus(room) {
+  return {
+    ...room.challenge,
+    serverTime: Date.now(),
+    open: isChallengeOpen(room.challenge),
+    totalRounds: room.totalRounds,
+    timePerRound: room.timePerRound,
+    scoring: room.scoring,
+    leaderboard: rankRuns(room),
+    progress: runProgress(room)
+  };
+}
+
+function broadcastChallenge(room) {
+  io.to(room.code).emit('challenge-update', challengeStatus(room));
+  if (room.teams.length) io.to(room.code).emit('team-leaderboard-update', teams.getTeamLeaderboard(room));
+}
+
+// Opens the window if it hasn't yet, then closes it when its time is up
+function armChallengeTimer(room) {
+  if (room.roundTimer) clearTimeout(room.roundTimer);
+  const now = Date.now();
+  if (now < room.challenge.opensAt) {
+    room.roundTimer = roomTimer('challenge', () => {
+      log.info('challenge.opened', { roomCode: room.code });
+      broadcastChallenge(room);
+      armChallengeTimer(room);
+    }, room.challenge.opensAt - now);
+    return;
+  }
+  room.roundTimer = roomTimer('challenge', () => {
+    log.info('challenge.closed', { roomCode: room.code, completed: rankRuns(room).length });
+    endGame(room);
+  }, Math.max(0, room.challenge.closesAt - now));
+}
+
+function runTimeLimit(room, run) {
+  return roundPuzzle(room, run.round).timeLimit || room.timePerRound;
+}
+
+function runRemaining(room, run) {
+  return Math.max(0, runTimeLimit(room, run) - (Date.now() - run.roundStartedAt) / 1000);
+}
+
+// The run's image URLs carry its key, which is what unlocks them (see puzzleImage)
+function runPuzzleView(room, run) {
+  const view = puzzleView(room, run.round);
+  return view.image ? { ...view, image: `${view.image}&run=${run.key}` } : view;
+}
+
+// Shaped like roundPayload, so game.html plays it the same way
+function runRoundPayload(room, run) {
+  const puzzle = roundPuzzle(room, run.round);
+  return {
+    roundNum: run.round + 1,
+    totalRounds: room.totalRounds,
+    ...runPuzzleView(room, run),
+    timePerRound: runTimeLimit(room, run),
+    remainingTime: runRemaining(room, run),
+    serverTime: Date.now(),
+    roundStartTime: run.roundStartedAt,
+    paused: false,
+    hints: puzzle.hints.slice(0, run.hints).map((h, i) => puzzleHint(puzzle, i)),
+    hintCosts: puzzle.hints.map(h => h.cost),
+    selfPaced: true
+  };
+}
+
+// Shaped like roundEndPayload; the player moves on by asking for the next puzzle
+function runResultPayload(room, playerId) {
+  const run = room.runs[playerId];
+  const result = run.results[run.round];
+  return {
+    correctAnswer: roundPuzzle(room, run.round).answer,
+    roundNum: run.round + 1,
+    totalRounds: room.totalRounds,
+    leaderboard: rankRuns(room),
+    isLastRound: run.round >= room.totalRounds - 1,
+    roundScores: result && result.breakdown ? { [playerId]: result.breakdown } : {},
+    teamLeaderboard: teams.getTeamLeaderboard(room),
+    nextRoundIn: 0,
+    nextImage: null,
+    paused: false,
+    selfPaced: true
+  };
+}
+
+// Where a player's run is at, for someone joining or coming back
+function sendRun(socket, room, playerId) {
+  socket.emit('challenge-update', challengeStatus(room));
+  const run = room.runs[playerId];
+  if (!run) return;
+  if (run.phase === 'round') socket.emit('new-round', runRoundPayload(room, run));
+  else if (run.phase === 'result') socket.emit('round-end', runResultPayload(room, playerId));
+}
+
+function emitToPlayer(room, playerId, event, data) {
+  const player = room.players[playerId];
+  if (player && player.socketId) io.to(player.socketId).emit(event, data);
+}
+
+function startRunRound(room, playerId) {
+  const run = room.runs[playerId];
+  run.phase = 'round';
+  run.roundStartedAt = Date.now();
+  run.hints = 0;
+  run.roundScore = { penalty: 0, hintCost: 0 };
+  room.history[run.round].playerCount++;
+  persistRoom(room);
+  armRunTimers(room, playerId);
+  emitToPlayer(room, playerId, 'new-round', runRoundPayload(room, run));
+}
+
+// Like armRoundTimers, for one player's puzzle; hints come only to them
+function armRunTimers(room, playerId) {
+  clearRunTimers(room, playerId);
+  const run = room.runs[playerId];
+  if (run.phase !== 'round') return;
+  const puzzle = roundPuzzle(room, run.round);
+  const limit = runTimeLimit(room, run);
+  const elapsed = Date.now() - run.roundStartedAt;
+
+  const timers = puzzle.hints
+    .map((hint, i) => ({ i, at: limit * hint.revealAt * 10 }))
+    .filter(({ i }) => i >= run.hints)
+    .map(({ i, at }) => roomTimer('hint', () => {
+      if (i < run.hints) return;
+      run.hints = i + 1;
+      persistRoom(room);
+      emitToPlayer(room, playerId, 'hint', puzzleHint(puzzle, i));
+    }, Math.max(0, at - elapsed)));
+  timers.push(roomTimer('round', () => finishRunRound(room, playerId), Math.max(0, limit * 1000 - elapsed)));
+  room.runTimers[playerId] = timers;
+}
+
+function clearRunTimers(room, playerId) {
+  (room.runTimers[playerId] || []).forEach(t => clearTimeout(t));
+  delete room.runTimers[playerId];
+}
+
+// The player answered (with the score `breakdown`) or ran out of time
+function finishRunRound(room, playerId, breakdown = null) {
+  clearRunTimers(room, playerId);
+  const run = room.runs[playerId];
+  const player = room.players[playerId];
+  const match = breakdown ? breakdown.match : 'timeout';
+  const total = breakdown ? breakdown.total : run.roundScore.penalty;
+  // Streaks only survive rounds solved correctly
+  if (match !== 'correct') player.streak = 0;
+  run.results[run.round] = {
+    match,
+    points: total,
+    seconds: Math.round(Math.min(Date.now() - run.roundStartedAt, runTimeLimit(room, run) * 1000) / 100) / 10,
+    breakdown
+  };
+
+  if (run.round >= room.totalRounds - 1) {
+    run.phase = 'done';
+    run.finishedAt = Date.now();
+    log.info('challenge.run_completed', { roomCode: room.code, playerId, score: player.score, seconds: runSeconds(run) });
+  } else {
+    run.phase = 'result';
+  }
+  persistRoom(room);
+
+  emitToPlayer(room, playerId, 'round-end', runResultPayload(room, playerId));
+  broadcastChallenge(room);
+}
+
+// submit-guess during a challenge: the live rules, against the player's own run
+function challengeGuess(socket, room, guess) {
+  const playerId = socket.data.playerId;
+  const player = room.players[playerId];
+  const run = room.runs[playerId];
+  if (!player || !run || run.phase !== 'round') return;
+
+  const outcome = scoreGuess(socket, room, player, guess, {
+    puzzle: roundPuzzle(room, run.round),
+    record: room.history[run.round],
+    elapsed: Date.now() - run.roundStartedAt,
+    timeRemaining: runRemaining(room, run),
+    totalTime: runTimeLimit(room, run),
+    solverIndex: null,
+    roundScore: run.roundScore,
+    solved: p => runSolved(room.runs[p.id], run.round)
+  });
+  if (!outcome) return;
+  if (outcome.breakdown) finishRunRound(room, playerId, outcome.breakdown);
+  else persistRoom(room);
+}
+
+// request-hint during a challenge: buy the run's next hint early
+function challengeHint(socket, room) {
+  const playerId = socket.data.playerId;
+  const run = room.runs[playerId];
+  if (!room.players[playerId] || !run || run.phase !== 'round') return;
+
+  const puzzle = roundPuzzle(room, run.round);
+  if (run.hints >= puzzle.hints.length) return sendError(socket, 'NO_MORE_HINTS');
+  if (puzzle.hints[run.hints].cost === null) return sendError(socket, 'HINT_NOT_EARLY');
+
+  // The cost comes off whatever the player scores for this puzzle
+  const cost = puzzle.hints[run.hints].cost;
+  run.roundScore.hintCost -= cost;
+  run.hints++;
+  persistRoom(room);
+
+  socket.emit('hint', { ...puzzleHint(puzzle, run.hints - 1), cost });
+}
+
+// ─── Anti-Cheat ───
+
+// One open flag per player, reason and round; the host sees each as it's raised.
+// `roundNum` is the round the guess was for, which in a challenge is the player's own
+function addFlag(room, { playerId, reason, detail, with: others }, roundNum) {
+  const player = room.players[playerId];
+  if (!player || room.flags.some(f => f.playerId === playerId && f.reason === reason && f.roundNum === roundNum)) return;
+  const flag = {
+    id: uuidv4().slice(0, 8),
+    playerId,
+    playerName: player.name,
+    roundNum,
+    reason,
+    detail,
+    with: (others || []).map(id => (room.players[id] || {}).name).filter(Boolean),
+    at: Date.now(),
+    resolution: null  // 'kicked' | 'ignored' | 'dismissed'
+  };
+  room.flags.push(flag);
+  if (room.hostId) io.to(room.hostId).emit('cheat-flag', flag);
+}
+
+function resolveFlags(room, playerId, resolution) {
+  room.flags.forEach(f => {
+    if (f.playerId === playerId && !f.resolution) f.resolution = resolution;
+  });
+  if (room.hostId) io.to(room.hostId).emit('flags-update', room.flags);
+}
+
+// Zero the player's score and keep it at zero, including what they earned for a "first" team
+function ignoreScore(room, playerId) {
+  const player = room.players[playerId];
+  const team = room.teams.find(t => t.id === player.teamId);
+  if (team) team.firstScore -= player.teamFirstPoints || 0;
+  player.teamFirstPoints = 0;
+  player.score = 0;
+  player.scoreIgnored = true;
+  persistRoom(room);
+  if (player.socketId) io.to(player.socketId).emit('error-msg', { code: 'SCORE_IGNORED', message: ERRORS.SCORE_IGNORED });
+  broadcastLeaderboard(room);
+}
+
+// ─── Moderation ───
+
+// Disconnect a player and drop them from the room. A kicked player may join again
+// as someone new; a banned one may not (see isBanned)
+function kickPlayer(room, playerId, code = 'KICKED') {
+  const player = room.players[playerId];
+  if (player.socketId) {
+    io.to(player.socketId).emit('kicked', { code, message: ERRORS[code] });
+    io.in(player.socketId).socketsLeave(room.code);
+    updateSocketData(player.socketId, { roomCode: null, playerId: null });
+  }
+  log.info(code === 'BANNED' ? 'player.banned' : 'player.kicked', { roomCode: room.code, playerId });
+  delete room.players[playerId];
+  delete room.roundAnswered[playerId];
+  clearRunTimers(room, playerId);
+  delete room.runs[playerId];
+  Object.keys(room.sessions).forEach(s => {
+    if (room.sessions[s] === playerId) delete room.sessions[s];
+  });
+  persistRoom(room);
+  io.to(room.code).emit('player-left', {
+    playerId,
+    playerName: player.name,
+    playerCount: Object.values(room.players).filter(p => p.online).length,
+    players: playerList(room)
+  });
+  broadcastLeaderboard(room);
+}
+
+// Bans cover every session the player has used. Only if the host asks do they also
+// cover the IP they joined from, since that turns away anyone else joining from
+// behind the same router (a school or office network, say)
+function banPlayer(room, playerId, banIp = false) {
+  const player = room.players[playerId];
+  Object.keys(room.sessions).forEach(s => {
+    if (room.sessions[s] === playerId && !room.bans.sessions.includes(s)) room.bans.sessions.push(s);
+  });
+  if (banIp && player.ip && !room.bans.ips.includes(player.ip)) room.bans.ips.push(player.ip);
+  kickPlayer(room, playerId, 'BANNED');
+}
+
+// IP bans only stop new joins; players already in the room keep reconnecting
+// even if they share an IP with someone who was banned
+function isBanned(room, socket, sessionId) {
+  if (sessionId && room.bans.sessions.includes(sessionId)) return true;
+  if (sessionId && room.sessions[sessionId]) return false;
+  return room.bans.ips.includes(socketIp(socket));
+}
+
+function broadcastPlayerUpdate(room, playerId) {
+  io.to(room.code).emit('player-updated', {
+    playerId,
+    playerName: room.players[playerId].name,
+    playerCount: Object.values(room.players).filter(p => p.online).length,
+    players: playerList(room)
+  });
+}
+
+function renamePlayer(room, playerId, name) {
+  const player = room.players[playerId];
+  player.name = name;
+  persistRoom(room);
+  if (player.socketId) io.to(player.socketId).emit('renamed', { playerName: name });
+  broadcastPlayerUpdate(room, playerId);
+  broadcastLeaderboard(room);
+}
+
+// Muted players still play and score, but others aren't told what they do
+function mutePlayer(room, playerId, muted) {
+  room.players[playerId].muted = muted;
+  persistRoom(room);
+  broadcastPlayerUpdate(room, playerId);
+}
+
+// ─── Results ───
+
+// `elapsed` is time into the round (pauses excluded); `points` is what the guess earned or cost;
+// `accepted` is false for partial matches scored as wrong. A challenge run passes its
+// own round's record and time into it.
+function recordGuess(room, player, guess, result, { points, accepted, record = room.history[room.history.length - 1], elapsed = phaseElapsed(room) }) {
+  if (!record) return null;
+  const entry = {
+    playerId: player.id,
+    guess: String(guess).slice(0, 200),
+    match: result.match,
+    similarity: Math.round(result.similarity * 100) / 100,
+    points,
+    accepted,
+    at: Date.now(),
+    elapsed: Math.round(elapsed)
+  };
+  record.guesses.push(entry);
+  return entry;
+}
+
+function saveResults(room) {
+  const summary = {
+    roomCode: room.code,
+    hostToken: room.hostToken,
+    packId: room.packId,
+    scoring: room.scoring,
+    teamScoring: room.teams.length ? room.teamScoring : null,
+    gameNumber: room.gamesPlayed,
+    startedAt: room.gameStartedAt,
+    endedAt: Date.now(),
+    totalRounds: room.totalRounds,
+    players: Object.values(room.players).map(p => ({
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      matchTotal: p.matchTotal || 0,
+      teamId: p.teamId || null,
+      scoreIgnored: !!p.scoreIgnored
+    })),
+    teams: teams.teamsPayload(room).teams,
+    challenge: room.challenge,
+    leaderboard: (room.challenge ? rankRuns(room) : getLeaderboard(room)).map(({ id, name, score }) => ({ id, name, score })),
+    teamLeaderboard: teams.getTeamLeaderboard(room),
+    rounds: room.history,
+    flags: room.flags
+  };
+  try {
+    resultsStore.save(summary);
+  } catch (err) {
+    log.error('results.save_failed', { roomCode: room.code, err });
+  }
+}
+
+// ─── Profile Stats ───
+
+// One profile plays as at most one player per room, so a game is never counted twice
+function linkProfile(room, playerId, profile) {
+  if (Object.values(room.players).some(p => p.id !== playerId && p.profileId === profile.id)) return;
+  room.players[playerId].profileId = profile.id;
+  room.players[playerId].profileName = profile.username;
+}
+
+// Add the game that just ended to the profile of every signed-in player who took
+// part: made a guess, or in a challenge, started a run
+function recordProfileStats(room) {
+  const leaderboard = gameOverPayload(room).leaderboard;
+  Object.values(room.players).forEach(p => {
+    if (!p.profileId) return;
+    const played = room.challenge
+      ? !!room.runs[p.id]
+      : room.history.some(r => r.guesses.some(g => g.playerId === p.id));
+    if (!played) return;
+
+    const rank = leaderboard.findIndex(l => l.id === p.id);
+    const score = p.scoreIgnored ? 0 : p.score;
+    try {
+      const profile = profileStore.get(p.profileId);
+      if (!profile) return;
+      profiles.recordGame(profile, {
+        roomCode: room.code,
+        mode: room.challenge ? 'challenge' : 'live',
+        endedAt: Date.now(),
+        score,
+        rank: rank === -1 ? null : rank + 1,
+        players: leaderboard.length,
+        won: rank === 0 && score > 0,
+        ...profiles.playerRounds(room.history, p.id)
+      });
+      profileStore.save(profile);
+    } catch (err) {
+      log.error('profile.save_failed', { roomCode: room.code, profileId: p.profileId, err });
+    }
   });
 }
 
@@ -462,10 +2950,62 @@ function clearTimers(room) {
   if (room.roundTimer) { clearTimeout(room.roundTimer); room.roundTimer = null; }
   (room.hintTimers || []).forEach(t => clearTimeout(t));
   room.hintTimers = [];
+  Object.keys(room.runTimers || {}).forEach(playerId => clearRunTimers(room, playerId));
+}
+
+// ─── Rehydrate ───
+// Restore rooms saved before the last shutdown, or left by a process that went
+// away. Everyone starts offline and reconnects through host-join / join-room with
+// their sessionId.
+function restoreRoom(snapshot) {
+  const room = { hintsRevealed: 0, roundHints: {}, teams: [], teamScoring: 'sum', history: [], flags: [], bans: { sessions: [], ips: [] }, challenge: null, runs: {}, ...snapshot, hostId: null, roundTimer: null, hintTimers: [], runTimers: {} };
+  // Snapshots from before progressive hints stored a single { hint1 }
+  room.puzzles.forEach(p => { if (!Array.isArray(p.hints)) p.hints = buildHints(p); });
+  // ...or a type, when every puzzle was an image
+  room.puzzles.forEach(p => { if (!p.type) p.type = 'image'; });
+  // ...and inlined images as data URLs; move those into the image store as they are
+  let migrated = false;
+  room.puzzles.forEach(p => {
+    const match = /^data:image\/(png|jpeg|gif|webp);base64,(.*)$/.exec(p.image || '');
+    if (!match) return;
+    p.image = `${room.code}/${uuidv4().slice(0, 12)}.${match[1] === 'jpeg' ? 'jpg' : match[1]}`;
+    imageStore.put(p.image, Buffer.from(match[2], 'base64'));
+    migrated = true;
+  });
+  if (migrated) persistRoom(room, { puzzles: true });
+  rooms.set(room.code, room);
+
+  if (room.state === 'playing' && !room.pausedAt) {
+    if (room.roundEndedAt) armAdvanceTimer(room);
+    else armRoundTimers(room);
+  }
+  if (room.state === 'challenge') {
+    armChallengeTimer(room);
+    Object.keys(room.runs).forEach(playerId => armRunTimers(room, playerId));
+  }
+  scheduleCleanup(room.code);
+  log.info('room.restored', { roomCode: room.code, state: room.state });
+  return room;
+}
+
+// Rooms another process still holds are left to it
+function restoreRooms() {
+  roomStore.loadAll().forEach(snapshot => {
+    if (leases.claim(snapshot.code, NODE_ID)) restoreRoom(snapshot);
+  });
 }
 
+restoreRooms();
+
 // ─── Start ───
+// Clustered workers don't listen themselves; the primary hands them connections
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🧩 Rebus Puzzle Game running on http://localhost:${PORT}`);
-});
+if (clustered) {
+  ready = true;
+  log.info('server.started', { nodeId: NODE_ID, clustered, rooms: rooms.size });
+} else {
+  server.listen(PORT, () => {
+    ready = true;
+    log.info('server.started', { nodeId: NODE_ID, clustered, port: Number(PORT), rooms: rooms.size });
+  });
+}